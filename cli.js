@@ -0,0 +1,202 @@
+import Redis from "ioredis";
+import db, { createListener, withTransaction } from "./db.js";
+import Outbox from "./outbox.js";
+import registry from "./schemas.js";
+import EventRepository from "./examples/level-2-custom-multi-consumer/repository/event.js";
+import ConsumerRepository from "./examples/level-2-custom-multi-consumer/repository/consumer.js";
+import { parseFields } from "./examples/level-4-redis-stream-consumer-group/reclaimer.js";
+import logger from "./logger.js";
+
+const USAGE = `usage: node cli.js <command> [options]
+
+commands:
+  tail notify <channel>             print the notifications of the channel
+  tail stream <key>                 print the new entries of the redis stream
+  events [--object o] [--event e] [--since time] [--until time] [--limit n]
+                                    list the events in the outbox, oldest first
+  seek <consumer> (--id n | --time time)
+                                    move the checkpoint of the consumer to the
+                                    event, or to the time, 0 to start over
+  publish <object> <event> [json]   publish an event through the outbox
+
+Connects with the DB_* environment variables, see db.js. Output is one JSON
+object per line.`;
+
+const { options, positionals } = parseArgs(process.argv.slice(2), {
+  strings: ["object", "event", "since", "until", "limit", "id", "time"],
+  defaults: { limit: "100" }
+});
+if (!options.error && !/^[1-9]\d*$/.test(options.limit)) {
+  options.error = "--limit must be a positive integer";
+}
+
+const commands = { tail, events, seek, publish };
+
+const [command, ...args] = positionals;
+if (options.error) {
+  logger.error("usageError", { error: options.error });
+  process.stdout.write(USAGE + "\n");
+  process.exitCode = 1;
+} else if (options.help || !commands[command]) {
+  process.stdout.write(USAGE + "\n");
+  process.exitCode = options.help ? 0 : 1;
+} else {
+  try {
+    await commands[command](...args);
+  } catch (error) {
+    logger.error("commandError", { command, error });
+    process.exitCode = 1;
+  }
+}
+await db.end();
+
+// Parses `--name value`, `--name=value` and `-h`/`--help`. The rest are
+// positionals. util.parseArgs is not available on the Node version of
+// .nvmrc.
+function parseArgs(argv, { strings, defaults }) {
+  const options = { ...defaults };
+  const positionals = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "-h" || arg === "--help") {
+      options.help = true;
+    } else if (arg.startsWith("--")) {
+      const [name, value = argv[++i]] = arg.slice(2).split(/=(.*)/s);
+      if (options.error) {
+        continue;
+      } else if (!strings.includes(name)) {
+        options.error = `unknown option: --${name}`;
+      } else if (value === undefined) {
+        options.error = `missing value for --${name}`;
+      } else {
+        options[name] = value;
+      }
+    } else {
+      positionals.push(arg);
+    }
+  }
+  return { options, positionals };
+}
+
+// The output of the commands, as opposed to the logs.
+function print(value) {
+  const json = JSON.stringify(value, (key, value) =>
+    typeof value === "bigint" ? String(value) : value
+  );
+  process.stdout.write(json + "\n");
+}
+
+// Runs until interrupted with Ctrl-C.
+async function tail(source, name) {
+  if (!name) throw new Error("missing channel or stream key");
+
+  if (source === "notify") {
+    const listener = createListener();
+    listener.on("notification", ({ channel, payload }) => {
+      try {
+        print({ channel, payload: JSON.parse(payload) });
+      } catch (error) {
+        print({ channel, payload });
+      }
+    });
+    await listener.connect();
+    await listener.listen(name);
+    await new Promise(resolve => process.once("SIGINT", resolve));
+    await listener.end();
+    return;
+  }
+
+  if (source === "stream") {
+    const redis = new Redis();
+    let stopped = false;
+    process.once("SIGINT", () => {
+      stopped = true;
+      redis.disconnect();
+    });
+    try {
+      // Only the entries added from now on.
+      let lastId = "$";
+      while (!stopped) {
+        const streams = await redis
+          .xread("BLOCK", 5_000, "STREAMS", name, lastId)
+          .catch(error => {
+            if (stopped) return null;
+            throw error;
+          });
+        for (let [redisId, fields] of streams?.[0][1] ?? []) {
+          print({ redisId, ...parseFields(fields) });
+          lastId = redisId;
+        }
+      }
+    } finally {
+      redis.disconnect();
+    }
+    return;
+  }
+
+  throw new Error(`unknown source: ${source}, expected notify or stream`);
+}
+
+async function events() {
+  const eventRepository = new EventRepository(db);
+  const rows = await eventRepository.search(
+    {
+      object: options.object,
+      event: options.event,
+      since: options.since && parseTime(options.since),
+      until: options.until && parseTime(options.until)
+    },
+    Number(options.limit)
+  );
+  rows.forEach(print);
+}
+
+// Works for both the level-2 checkpoint and the level-3 stream position, see
+// ConsumerRepository.seek.
+async function seek(name) {
+  if (!name) throw new Error("missing consumer");
+
+  const eventRepository = new EventRepository(db);
+  const consumerRepository = new ConsumerRepository(db);
+
+  let checkpoint = { txid: 0, id: 0 };
+  if (options.time) {
+    checkpoint = await eventRepository.checkpointAt(parseTime(options.time));
+    if (!checkpoint) {
+      throw new Error(`no event before ${options.time}, use --id 0 to start over`);
+    }
+  } else if (options.id && options.id !== "0") {
+    const event = await eventRepository.find(options.id);
+    if (!event) throw new Error(`event ${options.id} not found`);
+    checkpoint = { txid: event.txid, id: event.id };
+  } else if (options.id !== "0") {
+    throw new Error("missing --id or --time");
+  }
+
+  const updated = await consumerRepository.seek(name, checkpoint);
+  if (!updated) throw new Error(`consumer ${name} not found`);
+  print(await consumerRepository.find(name));
+}
+
+async function publish(object, event, json = "{}") {
+  if (!object || !event) throw new Error("missing object or event");
+
+  const outbox = new Outbox({ registry });
+  const published = await withTransaction(tx =>
+    outbox.publish(tx, { object, event, data: JSON.parse(json) })
+  );
+  print(published);
+}
+
+// Accepts ISO 8601 timestamps, e.g. `2021-01-31T10:00:00Z`, or a duration
+// before now, e.g. `30m`, `12h` or `1d`.
+function parseTime(value) {
+  const match = value.match(/^(\d+)([smhd])$/);
+  if (match) {
+    const seconds = { s: 1, m: 60, h: 3600, d: 86400 }[match[2]];
+    return new Date(Date.now() - Number(match[1]) * seconds * 1000);
+  }
+  const time = new Date(value);
+  if (isNaN(time)) throw new Error(`invalid time: ${value}`);
+  return time;
+}
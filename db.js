@@ -1,17 +1,72 @@
 import pg from "pg";
-//const { Client } = pg;
+import Listener from "./listener.js";
+import LeaderElection from "./leader-election.js";
+import ReplicationSource from "./replication.js";
+import logger from "./logger.js";
 
-// listen/notify does not work with pool. See issue here: https://github.com/brianc/node-pg-pool/issues/40
-const client = new pg.Client({
+const log = logger.child({ component: "db" });
+
+export const config = {
   user: process.env.DB_USER,
   password: process.env.DB_PASS,
   host: process.env.DB_HOST,
   port: process.env.DB_PORT,
   database: process.env.DB_NAME
+};
+
+// Queries go through the pool. Transactions must not be started with
+// `pool.query("BEGIN")`, since each query may run on a different client, use
+// `withTransaction` instead.
+const pool = new pg.Pool(config);
+
+// Without an error handler, an idle client that errors crashes the process.
+pool.on("error", error => {
+  log.error("poolError", { error });
 });
 
-// Automatically starts the connection. Don't do this in production.
-client.connect();
-// client.end()
+// Checks out a client for the unit of work, and runs `fn` in a transaction on
+// that client only, so that concurrent transactions are not mixed together.
+//
+// The original error is thrown even if the rollback fails. The client is then
+// broken, and released with the error so that the pool discards it.
+export async function withTransaction(fn, db = pool) {
+  const client = await db.connect();
+  let broken;
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (error) {
+    try {
+      await client.query("ROLLBACK");
+    } catch (rollbackError) {
+      log.error("rollbackError", { error: rollbackError });
+      broken = rollbackError;
+    }
+    throw error;
+  } finally {
+    client.release(broken);
+  }
+}
+
+// listen/notify does not work with pool. See issue here: https://github.com/brianc/node-pg-pool/issues/40
+// The listener holds a dedicated client instead. Call `connect()` before use,
+// and `end()` when done.
+export function createListener(options) {
+  return new Listener(config, options);
+}
+
+// Advisory locks are held by the session, so the election holds a dedicated
+// client too. Call `start()` before use, and `stop()` when done.
+export function createLeaderElection(name, options) {
+  return new LeaderElection(config, name, options);
+}
+
+// Replication needs a connection in replication mode, which the source opens
+// itself. Call `start()` before use, and `end()` when done.
+export function createReplicationSource(options) {
+  return new ReplicationSource(config, options);
+}
 
-export default client;
+export default pool;
@@ -0,0 +1,26 @@
+// This example demonstrates mounting the admin router on an express app.
+
+import express from "express";
+import Redis from "ioredis";
+import db from "../../db.js";
+import migrate from "../../migrate.js";
+import createAdminRouter from "./router.js";
+import logger from "../../logger.js";
+
+await migrate(db);
+
+const redis = new Redis();
+const port = Number(process.env.PORT) || 3000;
+
+const app = express();
+app.use("/admin", createAdminRouter({ db, redis }));
+
+const server = app.listen(port, () => {
+  logger.info("listening", { component: "admin", port });
+});
+
+process.on("SIGINT", () => {
+  server.close();
+  redis.disconnect();
+  db.end();
+});
@@ -0,0 +1,263 @@
+import express from "express";
+import ConsumerRepository from "../level-2-custom-multi-consumer/repository/consumer.js";
+import EventRepository from "../level-2-custom-multi-consumer/repository/event.js";
+import DeadLetterRepository from "../level-1-listen-notify-persistence/dead-letter.js";
+import Reclaimer from "../level-4-redis-stream-consumer-group/reclaimer.js";
+import EventStore from "../level-3-redis-stream/event-store.js";
+import logger from "../../logger.js";
+import metrics, {
+  consumerLag,
+  outboxBacklog,
+  outboxOldestAge
+} from "../../metrics.js";
+
+const log = logger.child({ component: "admin" });
+
+// XINFO GROUPS only has the lag of a consumer group from redis 7, before that
+// it is counted with XRANGE. Only a few entries are read per request, a larger
+// lag is reported as e.g. "> 100".
+const MAX_STREAM_LAG = 100;
+
+// Returns a router with the admin endpoints, to be mounted on an express app,
+// e.g. `app.use("/admin", createAdminRouter({ db, redis }))`. Every response is
+// JSON, except for `/metrics`, and errors are returned as `{ error }`. Without
+// `redis`, the stream endpoints are not available.
+export default function createAdminRouter({ db, redis = null }) {
+  const consumerRepository = new ConsumerRepository(db);
+  const eventRepository = new EventRepository(db);
+  const deadLetters = new DeadLetterRepository(db);
+
+  const router = express.Router();
+  router.use(express.json());
+
+  router.get(
+    "/consumers",
+    route(async (req, res) => {
+      const consumers = await consumerRepository.findAll();
+      res.json({ consumers });
+    })
+  );
+
+  router.get(
+    "/consumers/:name",
+    route(async (req, res) => {
+      const consumer = await consumerRepository.find(req.params.name);
+      if (!consumer) return notFound(res, "consumer");
+      res.json({ consumer });
+    })
+  );
+
+  // The events after the checkpoint of the consumer, regardless of its
+  // topics.
+  router.get(
+    "/consumers/:name/events",
+    route(async (req, res) => {
+      const consumer = await consumerRepository.find(req.params.name);
+      if (!consumer) return notFound(res, "consumer");
+
+      const events = await eventRepository.findAll(
+        { txid: consumer.checkpoint_txid, id: consumer.checkpoint },
+        limitOf(req)
+      );
+      res.json({ events });
+    })
+  );
+
+  // Moves the checkpoint to the event with the given id, e.g. `{ "id": 42 }`,
+  // so that the events after it are handled next. Use `0` to handle every
+  // event again.
+  router.post(
+    "/consumers/:name/checkpoint",
+    route(async (req, res) => {
+      const id = idOf(req.body?.id);
+      if (id === null) return badRequest(res, "id must be an integer");
+
+      let checkpoint = { txid: 0, id: 0 };
+      if (id > 0) {
+        const event = await eventRepository.find(id);
+        if (!event) return notFound(res, "event");
+        checkpoint = { txid: event.txid, id: event.id };
+      }
+      const updated = await consumerRepository.seek(
+        req.params.name,
+        checkpoint
+      );
+      if (!updated) return notFound(res, "consumer");
+      res.json({ consumer: await consumerRepository.find(req.params.name) });
+    })
+  );
+
+  router.post(
+    "/consumers/:name/pause",
+    route(async (req, res) => {
+      const updated = await consumerRepository.pause(req.params.name);
+      if (!updated) return notFound(res, "consumer");
+      res.json({ consumer: await consumerRepository.find(req.params.name) });
+    })
+  );
+
+  router.post(
+    "/consumers/:name/resume",
+    route(async (req, res) => {
+      const updated = await consumerRepository.resume(req.params.name);
+      if (!updated) return notFound(res, "consumer");
+      res.json({ consumer: await consumerRepository.find(req.params.name) });
+    })
+  );
+
+  // The events in the outbox that are visible to the consumers, oldest
+  // first.
+  router.get(
+    "/events",
+    route(async (req, res) => {
+      const events = await eventRepository.findAll(undefined, limitOf(req));
+      res.json({ events });
+    })
+  );
+
+  router.get(
+    "/dead-letters",
+    route(async (req, res) => {
+      const offset = Number(req.query.offset) || 0;
+      const events = await deadLetters.findAll(limitOf(req), offset);
+      res.json({ events });
+    })
+  );
+
+  router.post(
+    "/dead-letters/:id/requeue",
+    route(async (req, res) => {
+      const id = idOf(req.params.id);
+      if (id === null) return badRequest(res, "id must be an integer");
+
+      const requeued = await deadLetters.requeue(id);
+      if (!requeued) return notFound(res, "dead letter");
+      res.json({ requeued });
+    })
+  );
+
+  router.use("/streams", (req, res, next) => {
+    if (!redis) {
+      return res.status(404).json({ error: "streams need redis" });
+    }
+    next();
+  });
+
+  router.get(
+    "/streams/:key/groups",
+    route(async (req, res) => {
+      const { key } = req.params;
+      const groups = [];
+      for (let fields of await redis.xinfo("GROUPS", key)) {
+        const group = toObject(fields);
+        // The lag is null when redis cannot compute it, e.g. after a deletion.
+        if (group.lag == null) {
+          group.lag = await streamLag(redis, key, group["last-delivered-id"]);
+        }
+        groups.push(group);
+      }
+      res.json({ groups });
+    })
+  );
+
+  router.get(
+    "/streams/:key/dead-letters",
+    route(async (req, res) => {
+      const reclaimer = createReclaimer(req.params.key);
+      const events = await reclaimer.deadLetters(
+        req.query.start ?? "-",
+        limitOf(req)
+      );
+      res.json({ events });
+    })
+  );
+
+  // The entry is delivered again to the group that dead-lettered it only, see
+  // Reclaimer.replay.
+  router.post(
+    "/streams/:key/dead-letters/:redisId/replay",
+    route(async (req, res) => {
+      const reclaimer = createReclaimer(req.params.key);
+      const replayed = await reclaimer.replay(req.params.redisId);
+      if (!replayed) return notFound(res, "dead letter");
+      res.json({ replayed });
+    })
+  );
+
+  // The metrics of this process, with the lag of every consumer and the
+  // backlog of the outbox read from the database on each scrape.
+  router.get(
+    "/metrics",
+    route(async (req, res) => {
+      for (let { name, lag } of await consumerRepository.findAll()) {
+        consumerLag.set({ consumer: name }, Number(lag));
+      }
+      const { backlog, oldestAge } = await new EventStore(db).lag();
+      outboxBacklog.set({}, backlog);
+      outboxOldestAge.set({}, oldestAge);
+
+      res.type("text/plain; version=0.0.4").send(await metrics.expose());
+    })
+  );
+
+  router.use((error, req, res, next) => {
+    log.error("requestError", {
+      method: req.method,
+      url: req.originalUrl,
+      error
+    });
+    res.status(500).json({ error: error.message });
+  });
+
+  function createReclaimer(streamKey) {
+    return new Reclaimer({ redis }, { streamKey, groupKey: null });
+  }
+
+  return router;
+}
+
+// Express 4 does not catch the rejections of async handlers.
+function route(fn) {
+  return (req, res, next) => fn(req, res).catch(next);
+}
+
+function notFound(res, resource) {
+  res.status(404).json({ error: `${resource} not found` });
+}
+
+function badRequest(res, message) {
+  res.status(400).json({ error: message });
+}
+
+function limitOf(req) {
+  return Math.min(Number(req.query.limit) || 100, 1000);
+}
+
+// Returns the id as a string, to keep the precision of bigint ids, or null if
+// it is not an integer.
+function idOf(value) {
+  return /^\d+$/.test(String(value)) ? String(value) : null;
+}
+
+// XINFO returns the fields as a flat list of names and values.
+function toObject(fields) {
+  const object = {};
+  for (let i = 0; i < fields.length; i += 2) {
+    object[fields[i]] = fields[i + 1];
+  }
+  return object;
+}
+
+async function streamLag(redis, streamKey, lastDeliveredId) {
+  const records = await redis.xrange(
+    streamKey,
+    lastDeliveredId,
+    "+",
+    "COUNT",
+    MAX_STREAM_LAG + 2
+  );
+  // The range includes the last delivered entry, if it is not trimmed, and one
+  // more entry tells that the lag is above the cap.
+  const lag = records.filter(([redisId]) => redisId !== lastDeliveredId).length;
+  return lag > MAX_STREAM_LAG ? `> ${MAX_STREAM_LAG}` : lag;
+}
@@ -1,6 +1,9 @@
 // This example demonstrates the basics of pg listen/notify.
 
-import db from "../../db.js";
+import db, { createListener } from "../../db.js";
+import logger from "../../logger.js";
+
+const log = logger.child({ component: "level-0" });
 
 const eventProcessor = {
   sum: handleSum,
@@ -8,23 +11,27 @@ const eventProcessor = {
 };
 
 function handleSum(sum) {
-  console.log("sum:", sum);
+  log.info("sum", { sum });
 }
 
 function handleAvg(avg) {
-  console.log("avg:", avg);
+  log.info("avg", { avg });
 }
 
+// LISTEN only works on a dedicated connection, not on the pool.
+const listener = createListener();
+
 // Subscribe to pg_notify notifications.
-db.on("notification", ({ channel, payload }) => {
+listener.on("notification", ({ channel, payload }) => {
   const message = JSON.parse(payload);
   eventProcessor[channel]?.(message);
 });
 
 // Subscribe to the channel. To subscribe to multiple channels, add another
 // line with channel name.
-await db.query("LISTEN sum");
-await db.query("LISTEN avg");
+await listener.connect();
+await listener.listen("sum");
+await listener.listen("avg");
 
 // Use CTE to first perform the query operation, and then sending the result
 // through pg_notify.
@@ -37,5 +44,6 @@ await db.query(`
 await db.query(`SELECT pg_notify('avg', '1');`);
 
 setTimeout(() => {
+  listener.end();
   db.end();
 }, 10_000);
@@ -0,0 +1,83 @@
+// DeadLetterRepository keeps track of failing events. Each failure is retried
+// later with exponential backoff, and once an event has failed `maxAttempts`
+// times, it is moved to the `dead_letter` table so that the events behind it
+// can still be processed.
+export default class DeadLetterRepository {
+  constructor(db, { maxAttempts = 5, maxDelay = 3600 } = {}) {
+    this.db = db;
+    this.maxAttempts = maxAttempts;
+    // In seconds.
+    this.maxDelay = maxDelay;
+  }
+
+  // Records the failure on the transaction that holds the lock on the event.
+  // Returns true if the event is dead-lettered.
+  async fail(tx, event, error) {
+    const statement = `
+      UPDATE event
+      SET attempts = attempts + 1,
+          last_error = $2,
+          next_attempt_at = now() + least(power(2, attempts), $3) * interval '1 second'
+      WHERE id = $1
+      RETURNING attempts
+    `;
+    const values = [event.id, error.message, this.maxDelay];
+    const result = await tx.query(statement, values);
+    const attempts = result.rows[0]?.attempts ?? 0;
+    if (attempts < this.maxAttempts) return false;
+
+    await tx.query(
+      `
+      WITH deleted AS (
+        DELETE FROM event WHERE id = $1 RETURNING *
+      )
+      INSERT INTO dead_letter (id, event, object, aggregate_id, data, version, attempts, last_error, created_at)
+      SELECT id, event, object, aggregate_id, data, version, attempts, last_error, created_at
+      FROM deleted
+    `,
+      [event.id]
+    );
+    return true;
+  }
+
+  async findAll(limit = 100, offset = 0) {
+    const statement = `
+      SELECT *
+      FROM dead_letter
+      ORDER BY failed_at DESC
+      LIMIT $1
+      OFFSET $2
+    `;
+    const values = [limit, offset];
+    const result = await this.db.query(statement, values);
+    return result.rows;
+  }
+
+  async find(id) {
+    const statement = `
+      SELECT *
+      FROM dead_letter
+      WHERE id = $1
+    `;
+    const values = [id];
+    const result = await this.db.query(statement, values);
+    return result.rows[0] ?? null;
+  }
+
+  // Moves the event back to the queue with its original id, and resets the
+  // attempts. Returns false if the event is not dead-lettered.
+  async requeue(id) {
+    const statement = `
+      WITH deleted AS (
+        DELETE FROM dead_letter WHERE id = $1 RETURNING *
+      )
+      INSERT INTO event (id, event, object, aggregate_id, data, version, created_at)
+      OVERRIDING SYSTEM VALUE
+      SELECT id, event, object, aggregate_id, data, version, created_at
+      FROM deleted
+    `;
+    const values = [id];
+    const result = await this.db.query(statement, values);
+    return result.rowCount > 0;
+  }
+}
@@ -1,90 +1,158 @@
 // This example demonstrates on handling events for a single consumer.
 
 import cron from "node-cron";
-import db from "../../db.js";
-import migrate from "./migrate.js";
+import db, {
+  createListener,
+  createLeaderElection,
+  withTransaction
+} from "../../db.js";
+import migrate from "../../migrate.js";
 import createUsers from "../../user-store.js";
+import Outbox from "../../outbox.js";
+import DeadLetterRepository from "./dead-letter.js";
+import logger from "../../logger.js";
+import metrics, {
+  observeHandler,
+  outboxBacklog,
+  outboxOldestAge,
+  serveMetrics
+} from "../../metrics.js";
 
-// NOTE: Perform migrations. Don't do this in production.
-console.log("migrated", await migrate(db), "tables");
+const log = logger.child({ component: "level-1", consumer: "level-1" });
 
-// NOTE: Run a cron to retry failed events. In multi-instance deployment, run this only if the instance is the leader.
-const backgroundTask = cron.schedule("*/3 * * * * *", () => {
-  console.log("running a task every 3 seconds");
-  batch();
-  //stream();
+const outbox = new Outbox();
+// Events that fail 5 times are moved to the dead_letter table. Use
+// `deadLetters.findAll()`, `find(id)` and `requeue(id)` to inspect and retry
+// them.
+const deadLetters = new DeadLetterRepository(db, { maxAttempts: 5 });
+
+log.info("migrated", { count: await migrate(db) });
+
+// Every event in the table is yet to be handled.
+metrics.collect(async () => {
+  const { rows } = await db.query(`
+    SELECT
+      count(*) AS backlog,
+      coalesce(extract(epoch FROM now() - min(created_at)), 0) AS oldest_age
+    FROM event
+  `);
+  outboxBacklog.set({}, Number(rows[0].backlog));
+  outboxOldestAge.set({}, Number(rows[0].oldest_age));
 });
+const metricsServer = serveMetrics();
+
+// NOTE: In multi-instance deployment, only the leader runs the retry cron.
+const election = createLeaderElection("level-1-background-task", {
+  onElected: () => log.info("runningRetries"),
+  onDemoted: () => log.info("stoppedRetries")
+});
+await election.start();
+
+// NOTE: Run a cron to retry failed events.
+const backgroundTask = cron.schedule(
+  "*/3 * * * * *",
+  election.leaderOnly(() => {
+    batch();
+    //stream();
+  })
+);
 
 function handle(event) {
-  console.log("processing", event);
+  return observeHandler("level-1", event.event, () => {
+    log.info("processing", { eventId: event.id, event: event.event });
+  });
 }
 
-async function batch() {
-  console.log("running batch processing");
-  // Process in transaction to ensure another running query won't process the
-  // same work.
-  let lastId = 0;
-  try {
-    await db.query("BEGIN");
-    const { rows: events } = await db.query(
-      "SELECT * FROM event ORDER BY id LIMIT 1000 FOR UPDATE"
-    );
-
-    // Handle or publish event.
-    for (let event of events) {
-      await handle(event);
-      lastId = event.id;
+// Each event is claimed, handled and deleted in its own transaction, so that
+// the progress is committed as we go. If the batch stops partway through, the
+// events that were already handled are not handled again, and the next batch
+// continues from the event that failed.
+//
+// The `concurrency` workers claim events in parallel. Events of the same
+// aggregate are still handled one after another, see `stream`.
+async function batch(limit = 1000, concurrency = 4) {
+  log.debug("runningBatch");
+  let count = 0;
+  const work = async () => {
+    while (count < limit) {
+      const claimed = await stream();
+      if (!claimed) break;
+      count++;
     }
-
-    await db.query(`DELETE FROM event WHERE id <= $1`, [lastId]);
-
-    await db.query("COMMIT");
+  };
+  try {
+    await Promise.all(Array.from({ length: concurrency }, work));
   } catch (error) {
-    await db.query("ROLLBACK");
-    console.log("batchError:", error.message);
+    log.error("batchError", { error });
   }
+  return count;
 }
 
+// Only the oldest event of each aggregate can be claimed. While it is locked
+// by another worker (in flight), or waiting for its retry, the events behind
+// it are not claimable either, so that events of the same aggregate are never
+// handled out of order. Events without an aggregate are not ordered.
+const CLAIMABLE = `
+  SELECT DISTINCT ON (object, coalesce(aggregate_id, id::text)) id
+  FROM event
+  ORDER BY object, coalesce(aggregate_id, id::text), id
+`;
+
+// Returns false if there is no event to process.
 async function stream(event) {
-  console.log("running stream processing");
-  try {
-    await db.query("BEGIN");
-    // Take any unprocessed event that has not yet been locked. We can also select multiple.
-    const { rows } = await db.query(
+  return withTransaction(async tx => {
+    // Take the given event, or any claimable event that has not yet been
+    // locked. A notified event that is not the oldest of its aggregate is
+    // left to the batch.
+    const { rows } = await tx.query(
       event?.id
-        ? "SELECT * FROM event WHERE id = $1 LIMIT 1 FOR UPDATE NOWAIT"
-        : "SELECT * FROM event ORDER BY id LIMIT 1 FOR UPDATE SKIP LOCKED",
-      [event?.id]
+        ? `SELECT * FROM event WHERE id = $1 AND id IN (${CLAIMABLE}) LIMIT 1 FOR UPDATE NOWAIT`
+        : `SELECT * FROM event WHERE next_attempt_at <= now() AND id IN (${CLAIMABLE}) ORDER BY id LIMIT 1 FOR UPDATE SKIP LOCKED`,
+      event?.id ? [event.id] : []
     );
     const storedEvent = rows?.[0];
-    if (!storedEvent) {
-      await db.query("COMMIT");
-      return;
+    if (!storedEvent) return false;
+
+    try {
+      await handle(storedEvent);
+    } catch (error) {
+      const dead = await deadLetters.fail(tx, storedEvent, error);
+      log.error("handleError", { eventId: storedEvent.id, error, dead });
+      return true;
     }
-    await handle(event);
-
-    const result = await db.query("DELETE FROM event WHERE id = $1", [
-      storedEvent.id
-    ]);
-    await db.query("COMMIT");
-  } catch (e) {
-    await db.query("ROLLBACK");
-    throw e;
-  }
+
+    await tx.query("DELETE FROM event WHERE id = $1", [storedEvent.id]);
+    return true;
+  });
 }
 
-// NOTE: Since we can have multiple db.on("notification"), we will receive
+// NOTE: Notifications sent while the listener is disconnected are lost, so
+// each reconnect runs a batch to pick up the events that were missed.
+const listener = createListener({ catchUp: batch });
+
+// NOTE: Since we can have multiple listener.on("notification"), we will receive
 // the message multiple times. This implementation is not robust.
-db.on("notification", ({ channel, payload }) => {
-  const event = JSON.parse(payload);
-  stream(event);
+listener.on("notification", async ({ channel, payload }) => {
+  try {
+    // Events that are too large for the payload only carry a reference, and
+    // are loaded from the table.
+    const event = await outbox.resolve(db, payload);
+    if (event) await stream(event);
+  } catch (error) {
+    log.error("streamError", { error });
+  }
 });
 
-await db.query("LISTEN person_created");
+await listener.connect();
+await listener.listen("person_created");
 
-createUsers(db);
+// Not awaited, so that the shutdown below is scheduled even if it fails.
+createUsers(db).catch(error => log.error("createUsersError", { error }));
 
 setTimeout(() => {
   backgroundTask.stop();
+  election.stop();
+  listener.end();
+  metricsServer?.close();
   db.end();
 }, 10_000);
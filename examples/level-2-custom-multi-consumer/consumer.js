@@ -1,59 +1,97 @@
+import { toCheckpoint } from "./repository/event.js";
+import logger from "../../logger.js";
+import { observeHandler } from "../../metrics.js";
+
 export default class Consumer {
   BATCH_SIZE = 1000;
 
-  constructor(name, { eventRepository, consumerRepository }) {
+  // With a `registry`, events of older schema versions are upcast before they
+  // are handled, so handlers always receive the latest shape.
+  constructor(name, { eventRepository, consumerRepository, registry = null }) {
     this.name = name;
     this.consumerRepository = consumerRepository;
     this.eventRepository = eventRepository;
+    this.registry = registry;
+    this.handlers = new Map();
+    this.log = logger.child({ component: "consumer", consumer: name });
+
+    // Failures are reported by `run` too.
+    this.consumerRepository.upsert(name).catch(error => {
+      this.log.error("upsertError", { error });
+    });
+  }
 
-    this.consumerRepository.upsert(name);
+  // Registers a handler for the event name, or for every event with `*`.
+  // Multiple handlers for the same event are awaited in the order they are
+  // registered. Events without handlers are skipped.
+  on(eventName, handler) {
+    const handlers = this.handlers.get(eventName) ?? [];
+    handlers.push(handler);
+    this.handlers.set(eventName, handlers);
+    return this;
   }
 
-  createTopicChecker(consumer) {
-    const allTopics = consumer.topics.includes("*");
-    const topics = new Map(consumer.topics.map(topic => [topic, true]));
-    return topic => {
-      return allTopics || topics.has(topic);
-    };
+  async handle(storedEvent) {
+    const event = this.registry?.upcast(storedEvent) ?? storedEvent;
+    const handlers = [
+      ...(this.handlers.get(event.event) ?? []),
+      ...(this.handlers.get("*") ?? [])
+    ];
+    if (!handlers.length) return false;
+
+    await observeHandler(this.name, event.event, async () => {
+      for (let handler of handlers) {
+        await handler(event);
+      }
+    });
+    return true;
   }
 
+  // Returns true if all events are handled. When a handler fails, the
+  // checkpoint stops at the last event that succeeded, and false is returned so
+  // that the CronBackoff retries it later. Handlers should therefore be
+  // idempotent, since the events after the checkpoint are delivered again.
   async run() {
+    // Upserting the consumer also sends a heartbeat, see Retention.
     const consumer = await this.consumerRepository.upsert(this.name);
-    const checkTopic = this.createTopicChecker(consumer);
+    if (consumer.paused) {
+      this.log.info("paused");
+      return false;
+    }
     let lastCheckpoint = consumer.checkpoint;
 
-    const events = await this.eventRepository.findAll(
+    // Only the events of the subscribed topics are returned.
+    const { events, checkpoint } = await this.eventRepository.findByTopics(
       lastCheckpoint,
+      consumer.topics,
       this.BATCH_SIZE
     );
-    if (!events.length) {
-      console.log("no events to process");
+    if (checkpoint === null) {
+      this.log.debug("noEvents");
       return false;
     }
-    for await (let event of events) {
+    let completed = true;
+    for (let event of events) {
       try {
-        // Subscribed to that particular topic.
-        if (checkTopic(event.event)) {
-          console.log("%s: processing event...", consumer.name);
-        } else {
-          console.log("skipping event");
+        const handled = await this.handle(event);
+        if (!handled) {
+          this.log.debug("noHandler", { eventId: event.id, event: event.event });
         }
-        lastCheckpoint = event.id;
+        lastCheckpoint = toCheckpoint(event);
       } catch (error) {
-        console.log(event, error);
+        this.log.error("handleError", { eventId: event.id, error });
+        completed = false;
         break;
       }
     }
+    // Move past the skipped events of other topics too.
+    if (completed) lastCheckpoint = checkpoint;
 
     const updated = await this.consumerRepository.updateLastCheckpoint(
       consumer.name,
       lastCheckpoint
     );
-    console.log("updated last checkpoint:", updated);
-    const minCheckpointToClear = await this.consumerRepository.minCheckpoint();
-
-    const truncated = await this.eventRepository.truncate(minCheckpointToClear);
-    console.log("%s: truncated %d", consumer.name, truncated);
-    return truncated;
+    this.log.debug("checkpointUpdated", { updated });
+    return completed;
   }
 }
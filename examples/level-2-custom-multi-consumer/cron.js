@@ -1,24 +1,67 @@
 import cron from "node-cron";
 import ExponentialBackoff from "./exponential-backoff.js";
+import logger from "../../logger.js";
 
+const log = logger.child({ component: "cron" });
+
+// CronBackoff runs the scheduled function on the crontab, and backs off when
+// the function has nothing to do (returns false) or fails.
+//
+// Polling alone means new events may wait up to the max delay. Call `trigger`,
+// or `wakeOn` a listener, to reset the backoff and run right away when a
+// notification arrives. The cron remains as the fallback for notifications
+// that were missed.
 export default class CronBackoff {
-  constructor() {
-    this.triggeredAt = Date.now();
-    this.backoff = new ExponentialBackoff();
+  constructor(options) {
+    this.backoff = new ExponentialBackoff(options);
+    this.nextRunAt = 0;
+    this.fn = null;
+    this.running = false;
+    this.pending = false;
   }
 
   schedule(crontab, fn) {
-    return cron.schedule("* * * * * *", async () => {
-      if (
-        this.backoff.attempts > 0 &&
-        Date.now() < this.backoff.duration + this.triggeredAt
-      ) {
-        this.backoff.increment();
-        return;
+    this.fn = fn;
+    return cron.schedule(crontab, () => {
+      if (Date.now() < this.nextRunAt) return;
+      this.run();
+    });
+  }
+
+  // Resets the backoff and runs right away. Triggers that arrive while it is
+  // running are merged into one more run after the current one.
+  trigger() {
+    this.backoff.reset();
+    this.nextRunAt = 0;
+    this.run();
+  }
+
+  // Triggers a run on notifications of the given channels.
+  wakeOn(listener, ...channels) {
+    listener.on("notification", ({ channel }) => {
+      if (channels.includes(channel)) this.trigger();
+    });
+    return this;
+  }
+
+  async run() {
+    if (!this.fn) return;
+    if (this.running) {
+      this.pending = true;
+      return;
+    }
+    this.running = true;
+    do {
+      this.pending = false;
+      let executed = false;
+      try {
+        executed = await this.fn();
+      } catch (error) {
+        log.error("cronError", { backoff: this.backoff.name, error });
       }
-      const executed = await fn();
       executed ? this.backoff.reset() : this.backoff.increment();
-      this.triggeredAt = Date.now();
-    });
+      this.nextRunAt = executed ? 0 : Date.now() + this.backoff.duration;
+    } while (this.pending);
+    this.running = false;
   }
 }
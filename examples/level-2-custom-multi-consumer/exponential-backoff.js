@@ -1,23 +1,42 @@
+import { backoffAttempts } from "../../metrics.js";
+
 export default class ExponentialBackoff {
-  constructor() {
-    this.durations = Array(10)
-      .fill(0)
-      .map((_, i) => Math.pow(2, i) * 1000);
+  // The duration doubles from `baseDelay` on every attempt, up to `maxDelay`
+  // (in milliseconds). The `jitter` spreads the duration by the given ratio in
+  // both directions, so that instances that failed together do not retry
+  // together. With a `name`, the attempts are exported as a metric.
+  constructor({
+    name = null,
+    baseDelay = 1000,
+    maxDelay = 512_000,
+    jitter = 0.5
+  } = {}) {
+    this.name = name;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.jitter = jitter;
     this.attempts = 0;
   }
 
   get duration() {
-    const duration = this.durations[
-      Math.min(this.attempts, this.durations.length - 1)
-    ];
-    return Math.floor(duration / 2 + Math.random() * duration);
+    const duration = Math.min(
+      this.maxDelay,
+      this.baseDelay * Math.pow(2, this.attempts)
+    );
+    return Math.floor(duration * (1 + this.jitter * (Math.random() * 2 - 1)));
   }
 
   reset() {
     this.attempts = 0;
+    this.report();
   }
 
   increment() {
     this.attempts++;
+    this.report();
+  }
+
+  report() {
+    if (this.name) backoffAttempts.set({ name: this.name }, this.attempts);
   }
 }
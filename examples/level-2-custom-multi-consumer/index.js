@@ -3,44 +3,109 @@
 
 import cron from "node-cron";
 
-import db from "../../db.js";
-import migrate from "./repository/migrate.js";
+import db, { createListener } from "../../db.js";
+import migrate from "../../migrate.js";
 import Consumer from "./consumer.js";
 import EventRepository from "./repository/event.js";
 import ConsumerRepository from "./repository/consumer.js";
 import CronBackoff from "./cron.js";
+import Retention from "./retention.js";
 import createUsers from "../../user-store.js";
+import Outbox from "../../outbox.js";
+import registry from "../../schemas.js";
+import logger from "../../logger.js";
+import metrics, { consumerLag, serveMetrics } from "../../metrics.js";
+
+const log = logger.child({ component: "level-2" });
 
 try {
   const count = await migrate(db);
-  console.log(`migrated ${count} table(s)`);
+  log.info("migrated", { count });
 } catch (error) {
-  console.log("migrationError: %s", error.message);
+  log.error("migrationError", { error });
 }
 
+const outbox = new Outbox();
 const eventRepository = new EventRepository(db);
 const consumerRepository = new ConsumerRepository(db);
-const john = new Consumer("john", { eventRepository, consumerRepository });
-const alice = new Consumer("alice", { eventRepository, consumerRepository });
+const john = new Consumer("john", {
+  eventRepository,
+  consumerRepository,
+  registry
+});
+const alice = new Consumer("alice", {
+  eventRepository,
+  consumerRepository,
+  registry
+});
+
+// By default, consumers subscribe to all topics. Alice only wants the events of
+// a person. The topics are glob patterns matched against the event name, or
+// `object.event`.
+await consumerRepository.subscribe("alice", "person.*");
+await consumerRepository.unsubscribe("alice", "*");
+
+// Handlers are awaited in order. If one fails, the consumer's checkpoint stops
+// before the failed event, which is retried on the next run.
+john.on("person_created", event => {
+  log.info("sendingWelcomeEmail", { consumer: "john", eventId: event.id });
+});
+alice.on("person_created", event => {
+  log.info("invalidatingCache", { consumer: "alice", eventId: event.id });
+});
+
+// The lag is read from the database when the metrics are scraped, see
+// METRICS_PORT.
+metrics.collect(async () => {
+  for (let { name, lag } of await consumerRepository.findAll()) {
+    consumerLag.set({ consumer: name }, Number(lag));
+  }
+});
+const metricsServer = serveMetrics();
 
-// Avoid hammering the database when there are no events.
-// We can optionally reset the timer through pg.notify callback.
-const backgroundTask1 = new CronBackoff().schedule("* * * * * *", () => {
-  console.log("executing john task");
+// The listener reconnects on its own, and the crons below act as the catch-up
+// for notifications that were missed in between.
+const listener = createListener();
+
+// Avoid hammering the database when there are no events. A notification
+// resets the backoff, so that new events are processed right away.
+const johnScheduler = new CronBackoff({ name: "john", maxDelay: 60_000 });
+johnScheduler.wakeOn(listener, "person_created");
+const backgroundTask1 = johnScheduler.schedule("* * * * * *", () => {
+  log.debug("running", { consumer: "john" });
   return john.run();
 });
 
 // Note that having consumers processing payload at different speed will cause
 // the events to accumulate. In the worst case scenario, if one of the consumer
-// is not running, past events would never be deleted.
-const backgroundTask2 = cron.schedule("*/5 * * * * *", () => {
-  console.log("running a task every 5 seconds");
-  alice.run();
+// is not running, past events would never be deleted, unless it is considered
+// stale by the retention below.
+const aliceScheduler = new CronBackoff({ name: "alice" });
+aliceScheduler.wakeOn(listener, "person_created");
+const backgroundTask2 = aliceScheduler.schedule("*/5 * * * * *", () => {
+  log.debug("running", { consumer: "alice" });
+  return alice.run();
+});
+
+// Archive the events that every live consumer has processed, and the events
+// that exceed the retention limits.
+const retention = new Retention(
+  { eventRepository, consumerRepository },
+  { staleTimeout: 15 * 60, maxAge: 7 * 24 * 60 * 60, maxRows: 1_000_000 }
+);
+const backgroundTask3 = cron.schedule("*/5 * * * * *", () => {
+  retention.run().catch(error => {
+    log.error("retentionError", { error });
+  });
 });
 
-db.on("notification", ({ channel, payload }) => {
-  const event = JSON.parse(payload);
-  console.log({ channel, event });
+listener.on("notification", async ({ channel, payload }) => {
+  try {
+    const event = await outbox.resolve(db, payload);
+    log.info("notified", { channel, eventId: event.id });
+  } catch (error) {
+    log.error("notificationError", { channel, error });
+  }
   // If we need real-time capability, this would be a good place to handle that
   // logic.
   // Else, we can also do lazy trigger (setting count here, if the count hits
@@ -49,12 +114,16 @@ db.on("notification", ({ channel, payload }) => {
   // fails, the cron should recover it.
 });
 
-await db.query("LISTEN person_created");
-await createUsers();
+await listener.connect();
+await listener.listen("person_created");
+await createUsers(db);
 
 setTimeout(() => {
   // End background tasks before terminating the database connection.
   backgroundTask1.stop();
   backgroundTask2.stop();
+  backgroundTask3.stop();
+  listener.end();
+  metricsServer?.close();
   db.end();
 }, 10_000);
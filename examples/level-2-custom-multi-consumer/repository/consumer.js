@@ -1,51 +1,181 @@
+import { withTransaction } from "../../../db.js";
+import { toCheckpoint } from "./event.js";
+
 export default class ConsumerRepository {
   constructor(db) {
     this.db = db;
   }
 
+  // The consumer table is shared with the stream consumers of level 3, see
+  // ConsumerStore. A name that belongs to one of them is rejected, rather than
+  // sharing its checkpoint and pause state.
   async upsert(name) {
     const statement = `
       INSERT INTO consumer (name) VALUES ($1) 
       ON CONFLICT(name) DO UPDATE SET updated_at = now()
+      WHERE consumer.kind = 'table'
       RETURNING *
     `;
     const values = [name];
     const result = await this.db.query(statement, values);
-    const consumer = result.rows?.[0];
-    consumer.checkpoint = BigInt(consumer.checkpoint);
+    const consumer = result.rows[0];
+    if (!consumer) throw new Error(`consumer ${name} is a stream consumer`);
+    consumer.checkpoint = toCheckpoint({
+      txid: consumer.checkpoint_txid,
+      id: consumer.checkpoint
+    });
     return consumer;
   }
 
-  async updateLastCheckpoint(name, checkpoint = 0) {
-    try {
-      await this.db.query("BEGIN");
-      await this.db.query("SELECT * FROM consumer WHERE name = $1 FOR UPDATE", [
+  // Adds glob-style topic patterns, e.g. `person.*`, to the consumer. Note
+  // that new consumers subscribe to every topic (`*`) by default, unsubscribe
+  // from it to only receive the given topics.
+  async subscribe(name, ...topics) {
+    const statement = `
+      INSERT INTO consumer (name, topics) VALUES ($1, $2)
+      ON CONFLICT(name) DO UPDATE 
+      SET topics = ARRAY(
+            SELECT DISTINCT unnest(consumer.topics || excluded.topics)
+          ),
+          updated_at = now()
+      WHERE consumer.kind = 'table'
+      RETURNING topics
+    `;
+    const values = [name, topics];
+    const result = await this.db.query(statement, values);
+    if (!result.rows[0]) throw new Error(`consumer ${name} is a stream consumer`);
+    return result.rows[0].topics;
+  }
+
+  async unsubscribe(name, ...topics) {
+    const statement = `
+      UPDATE consumer
+      SET topics = ARRAY(
+            SELECT unnest(topics) 
+            EXCEPT 
+            SELECT unnest($2::text[])
+          ),
+          updated_at = now()
+      WHERE name = $1
+      RETURNING topics
+    `;
+    const values = [name, topics];
+    const result = await this.db.query(statement, values);
+    return result.rows[0]?.topics ?? [];
+  }
+
+  async updateLastCheckpoint(name, checkpoint = { txid: 0, id: 0 }) {
+    return withTransaction(async tx => {
+      await tx.query("SELECT * FROM consumer WHERE name = $1 FOR UPDATE", [
         name
       ]);
 
       const statement = `
         UPDATE consumer 
-        SET checkpoint = $1
-        WHERE name = $2
+        SET checkpoint = $1,
+            checkpoint_txid = $2
+        WHERE name = $3
     `;
-      const values = [checkpoint, name];
-      const result = await this.db.query(statement, values);
-
-      await this.db.query("COMMIT");
+      const values = [checkpoint.id, checkpoint.txid, name];
+      const result = await tx.query(statement, values);
       return result.rowCount > 0;
-    } catch (error) {
-      await this.db.query("ROLLBACK");
-      throw error;
-    }
+    }, this.db);
   }
 
-  async minCheckpoint() {
+  // Returns the consumers with their lag, the number of events after their
+  // checkpoint, regardless of their topics.
+  async findAll() {
     const statement = `
-      SELECT min(checkpoint) AS checkpoint
+      SELECT consumer.*, (
+        SELECT count(*)
+        FROM event
+        WHERE (event.txid, event.id) > (consumer.checkpoint_txid, consumer.checkpoint)
+      ) AS lag
       FROM consumer
+      ORDER BY name
     `;
     const result = await this.db.query(statement);
-    const checkpoint = BigInt(result.rows?.[0].checkpoint);
-    return checkpoint;
+    return result.rows;
+  }
+
+  async find(name) {
+    const statement = `
+      SELECT *
+      FROM consumer
+      WHERE name = $1
+    `;
+    const values = [name];
+    const result = await this.db.query(statement, values);
+    return result.rows[0] ?? null;
+  }
+
+  // Moves the checkpoint of the consumer to the event, backward to handle the
+  // events after it again, or forward to skip them. Both the level-2
+  // checkpoint and the level-3 stream position are moved.
+  async seek(name, checkpoint) {
+    const statement = `
+      UPDATE consumer
+      SET checkpoint = $2::bigint,
+          checkpoint_txid = $3::xid8,
+          last_event_id = $2::bigint,
+          last_event_txid = $3::xid8,
+          -- The stream id of the event, see Relay.
+          last_redis_id = CASE WHEN $2::bigint = 0 THEN '' ELSE $3::text || '-' || $2::text END,
+          updated_at = now()
+      WHERE name = $1
+    `;
+    const values = [name, checkpoint.id, checkpoint.txid];
+    const result = await this.db.query(statement, values);
+    return result.rowCount > 0;
+  }
+
+  // Paused consumers skip their runs until they are resumed, see
+  // Consumer.run. They still hold back truncation.
+  async pause(name, paused = true) {
+    const statement = `
+      UPDATE consumer
+      SET paused = $2
+      WHERE name = $1
+    `;
+    const values = [name, paused];
+    const result = await this.db.query(statement, values);
+    return result.rowCount > 0;
+  }
+
+  resume(name) {
+    return this.pause(name, false);
+  }
+
+  // Marks the consumer as alive. Consumers that do not send heartbeats within
+  // the stale timeout no longer hold back truncation, see `minCheckpoint`.
+  async heartbeat(name) {
+    const statement = `
+      UPDATE consumer
+      SET updated_at = now()
+      WHERE name = $1
+    `;
+    const values = [name];
+    const result = await this.db.query(statement, values);
+    return result.rowCount > 0;
+  }
+
+  // Returns the lowest checkpoint of the consumers that sent a heartbeat
+  // within the last `staleTimeout` seconds, or null if there are none. Without
+  // a stale timeout, every consumer is considered. The stream consumers of
+  // level 3, which share the table, are not.
+  async minCheckpoint(staleTimeout = null) {
+    const statement = `
+      SELECT checkpoint_txid AS txid, checkpoint AS id
+      FROM consumer
+      WHERE kind = 'table'
+      AND ($1::float8 IS NULL 
+      OR updated_at > now() - $1 * interval '1 second')
+      ORDER BY checkpoint_txid, checkpoint
+      LIMIT 1
+    `;
+    const values = [staleTimeout];
+    const result = await this.db.query(statement, values);
+    const checkpoint = result.rows[0];
+    return checkpoint ? toCheckpoint(checkpoint) : null;
   }
 }
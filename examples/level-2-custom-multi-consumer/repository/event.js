@@ -3,27 +3,199 @@ export default class EventRepository {
     this.db = db;
   }
 
-  async findAll(checkpoint = 0, limit = 10_000) {
+  // See findByTopics for the checkpoint.
+  async findAll(checkpoint = { txid: 0, id: 0 }, limit = 10_000) {
     const statement = `
       SELECT *
       FROM event
-      WHERE id > $1
-      LIMIT $2
+      WHERE (txid, id) > ($1::xid8, $2::bigint)
+      AND txid < pg_snapshot_xmin(pg_current_snapshot())
+      ORDER BY txid, id
+      LIMIT $3
     `;
-    const values = [checkpoint, limit];
+    const values = [checkpoint.txid, checkpoint.id, limit];
     const result = await this.db.query(statement, values);
     return result.rows;
   }
 
-  async truncate(checkpoint = 0) {
+  // Finds the event in the outbox, or in the archive once it is truncated or
+  // relayed, with the columns they share.
+  async find(id) {
     const statement = `
-      DELETE 
+      SELECT id, txid, event, object, aggregate_id, data, version, created_at
       FROM event
-      WHERE id <= $1
+      WHERE id = $1
+      UNION ALL
+      SELECT id, txid, event, object, aggregate_id, data, version, created_at
+      FROM event_archive
+      WHERE id = $1
+      LIMIT 1
+    `;
+    const values = [id];
+    const result = await this.db.query(statement, values);
+    return result.rows[0] ?? null;
+  }
+
+  // Returns the events that match the filters, oldest first. The `object` and
+  // `event` are exact names, and `since` and `until` bound the creation time.
+  async search({ object, event, since, until } = {}, limit = 100) {
+    const statement = `
+      SELECT *
+      FROM event
+      WHERE ($1::text IS NULL OR object = $1)
+      AND ($2::text IS NULL OR event = $2)
+      AND ($3::timestamptz IS NULL OR created_at >= $3)
+      AND ($4::timestamptz IS NULL OR created_at < $4)
+      ORDER BY txid, id
+      LIMIT $5
+    `;
+    const values = [
+      object ?? null,
+      event ?? null,
+      since ?? null,
+      until ?? null,
+      limit
+    ];
+    const result = await this.db.query(statement, values);
+    return result.rows;
+  }
+
+  // Returns the checkpoint of the last event created before the time, in the
+  // outbox or in the archive, so that a consumer at that checkpoint handles
+  // the events created since. Returns null if there are none, rather than the
+  // initial checkpoint, which would handle every event again.
+  async checkpointAt(time) {
+    const statement = `
+      SELECT txid, id
+      FROM (
+        SELECT txid, id, created_at FROM event
+        UNION ALL
+        SELECT txid, id, created_at FROM event_archive
+      ) AS events
+      WHERE created_at < $1
+      ORDER BY txid DESC, id DESC
+      LIMIT 1
+    `;
+    const values = [time];
+    const result = await this.db.query(statement, values);
+    return result.rows[0] ?? null;
+  }
+
+  // Returns the events within the next `limit` events after the checkpoint
+  // that match any of the topic patterns, and the checkpoint of the last event
+  // scanned. A topic is matched against the event name, e.g. `person_created`,
+  // and the event name qualified by its object, e.g. `person.person_created`,
+  // so `person.*` matches all events of a person. Events that do not match are
+  // skipped, but the checkpoint still moves past them. The checkpoint is null
+  // when there are no new events.
+  //
+  // The checkpoint is the pair of transaction id and event id. Event ids are
+  // assigned on insert, not on commit, so a transaction that commits late
+  // inserts events with lower ids than those that are already visible. Moving
+  // the checkpoint past them by id alone would skip them forever. Instead,
+  // only the events of transactions older than the snapshot's xmin are read,
+  // since every transaction before the xmin has finished, and no more events
+  // can appear before the checkpoint. Note that a long running transaction
+  // holds back the xmin, and delays the delivery of the events.
+  async findByTopics(
+    checkpoint = { txid: 0, id: 0 },
+    topics = ["*"],
+    limit = 10_000
+  ) {
+    const result = await this.db.query(
+      `
+      SELECT txid, id
+      FROM (
+        SELECT txid, id
+        FROM event
+        WHERE (txid, id) > ($1::xid8, $2::bigint)
+        AND txid < pg_snapshot_xmin(pg_current_snapshot())
+        ORDER BY txid, id
+        LIMIT $3
+      ) scanned
+      ORDER BY txid DESC, id DESC
+      LIMIT 1
+    `,
+      [checkpoint.txid, checkpoint.id, limit]
+    );
+    const last = result.rows[0];
+    if (!last) {
+      return { events: [], checkpoint: null };
+    }
+
+    const statement = `
+      SELECT *
+      FROM event
+      WHERE (txid, id) > ($1::xid8, $2::bigint)
+      AND (txid, id) <= ($3::xid8, $4::bigint)
+      AND (event LIKE ANY($5) OR object || '.' || event LIKE ANY($5))
+      ORDER BY txid, id
+    `;
+    const values = [
+      checkpoint.txid,
+      checkpoint.id,
+      last.txid,
+      last.id,
+      topics.map(toLikePattern)
+    ];
+    const { rows: events } = await this.db.query(statement, values);
+    return { events, checkpoint: toCheckpoint(last) };
+  }
+
+  // Moves the events up to the checkpoint to the archive.
+  async truncate(checkpoint = { txid: 0, id: 0 }) {
+    return this.archive("(txid, id) <= ($1::xid8, $2::bigint)", [
+      checkpoint.txid,
+      checkpoint.id
+    ]);
+  }
+
+  // Moves the events older than `maxAge` seconds to the archive, whether the
+  // consumers have processed them or not.
+  async truncateOlderThan(maxAge) {
+    return this.archive("created_at < now() - $1 * interval '1 second'", [
+      maxAge
+    ]);
+  }
+
+  // Moves the events to the archive, except the latest `maxRows`, whether the
+  // consumers have processed them or not.
+  async truncateExceeding(maxRows) {
+    return this.archive(
+      "id <= (SELECT id FROM event ORDER BY id DESC OFFSET $1 LIMIT 1)",
+      [maxRows]
+    );
+  }
+
+  async archive(condition, values) {
+    const statement = `
+      WITH archived AS (
+        DELETE 
+        FROM event
+        WHERE ${condition}
+        RETURNING *
+      )
+      INSERT INTO event_archive (id, txid, event, object, aggregate_id, data, version, created_at)
+      SELECT id, txid, event, object, aggregate_id, data, version, created_at
+      FROM archived
+      ON CONFLICT (id) DO NOTHING
     `;
-    const values = [checkpoint];
 
     const result = await this.db.query(statement, values);
     return result.rowCount;
   }
 }
+
+export function toCheckpoint({ txid, id }) {
+  return { txid: BigInt(txid), id: BigInt(id) };
+}
+
+// Converts a glob pattern into a LIKE pattern, where `*` matches any
+// characters and `?` matches a single character. Note that `_` is a wildcard
+// in LIKE, and is common in event names.
+function toLikePattern(glob) {
+  return glob
+    .replace(/[\\%_]/g, c => "\\" + c)
+    .replace(/\*/g, "%")
+    .replace(/\?/g, "_");
+}
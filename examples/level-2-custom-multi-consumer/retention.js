@@ -0,0 +1,47 @@
+import logger from "../../logger.js";
+
+const log = logger.child({ component: "retention" });
+
+// Retention decides which events in the shared event log can be truncated.
+// Truncated events are moved to the `event_archive` table.
+//
+// Events are kept until every live consumer has processed them. A consumer
+// that has not sent a heartbeat (by running, or through
+// `ConsumerRepository.heartbeat`) within `staleTimeout` seconds no longer
+// holds back truncation, so that one consumer that stopped running does not
+// keep the events forever. Note that the stale timeout should be longer than
+// the CronBackoff's max delay, since consumers do not run while backing off.
+//
+// Regardless of the consumers, events older than `maxAge` seconds, and events
+// beyond the latest `maxRows`, are truncated too. Consumers that fall behind
+// will miss them, and have to read them from the archive.
+export default class Retention {
+  constructor(
+    { eventRepository, consumerRepository },
+    { staleTimeout = 15 * 60, maxAge = null, maxRows = null } = {}
+  ) {
+    this.eventRepository = eventRepository;
+    this.consumerRepository = consumerRepository;
+    this.staleTimeout = staleTimeout;
+    this.maxAge = maxAge;
+    this.maxRows = maxRows;
+  }
+
+  async run() {
+    let truncated = 0;
+    const checkpoint = await this.consumerRepository.minCheckpoint(
+      this.staleTimeout
+    );
+    if (checkpoint !== null) {
+      truncated += await this.eventRepository.truncate(checkpoint);
+    }
+    if (this.maxAge !== null) {
+      truncated += await this.eventRepository.truncateOlderThan(this.maxAge);
+    }
+    if (this.maxRows !== null) {
+      truncated += await this.eventRepository.truncateExceeding(this.maxRows);
+    }
+    log.info("truncated", { truncated });
+    return truncated;
+  }
+}
@@ -1,43 +1,45 @@
+import { withTransaction } from "../../db.js";
+
 export default class ConsumerStore {
   constructor(db) {
     this.db = db;
   }
 
+  // Stream consumers do not read the event table, so they never hold back its
+  // truncation, see ConsumerRepository.minCheckpoint. A name that belongs to a
+  // level-2 consumer is rejected.
   async upsert(name) {
     const statement = `
-      INSERT INTO consumer (name) VALUES ($1) 
+      INSERT INTO consumer (name, kind) VALUES ($1, 'stream') 
       ON CONFLICT(name) DO UPDATE SET updated_at = now()
+      WHERE consumer.kind = 'stream'
       RETURNING *
     `;
     const values = [name];
     const result = await this.db.query(statement, values);
     const consumer = result.rows[0];
-    if (!consumer) return null;
+    if (!consumer) throw new Error(`consumer ${name} is not a stream consumer`);
     consumer.last_event_id = BigInt(consumer.last_event_id);
+    consumer.last_event_txid = BigInt(consumer.last_event_txid);
     return consumer;
   }
 
-  async updateLastCheckpoint(name, lastEventId, lastRedisId) {
-    try {
-      await this.db.query("BEGIN");
-      await this.db.query("SELECT * FROM consumer WHERE name = $1 FOR UPDATE", [
+  async updateLastCheckpoint(name, lastEventTxid, lastEventId, lastRedisId) {
+    return withTransaction(async tx => {
+      await tx.query("SELECT * FROM consumer WHERE name = $1 FOR UPDATE", [
         name
       ]);
 
       const statement = `
         UPDATE consumer 
-        SET last_event_id = $1,
-            last_redis_id = $2
-        WHERE name = $3
+        SET last_event_txid = $1,
+            last_event_id = $2,
+            last_redis_id = $3
+        WHERE name = $4
     `;
-      const values = [lastEventId, lastRedisId, name];
-      const result = await this.db.query(statement, values);
-
-      await this.db.query("COMMIT");
+      const values = [lastEventTxid, lastEventId, lastRedisId, name];
+      const result = await tx.query(statement, values);
       return result.rowCount > 0;
-    } catch (error) {
-      await this.db.query("ROLLBACK");
-      throw error;
-    }
+    }, this.db);
   }
 }
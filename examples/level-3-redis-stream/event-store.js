@@ -7,10 +7,18 @@ export default class EventStore {
     // Selecting for update blocks another 'SELECT .. FROM UPDATE',
     // so they will never get the same paginated result when running
     // concurrently.
+    //
+    // Event ids are assigned on insert, not on commit, so ordering by id alone
+    // lets a transaction that commits late slip an event in before those that
+    // were already sent. Only the events of transactions older than the
+    // snapshot's xmin are returned, ordered by (txid, id), since every
+    // transaction before the xmin has finished and no more events can appear
+    // in between.
     const statement = `
       SELECT *
       FROM event
-      ORDER BY id
+      WHERE txid < pg_snapshot_xmin(pg_current_snapshot())
+      ORDER BY txid, id
       LIMIT $1
       FOR UPDATE
     `;
@@ -19,15 +27,40 @@ export default class EventStore {
     return result.rows;
   }
 
-  async truncate(eventId = 0) {
+  // Moves the events up to the last event returned by findAll to the archive,
+  // where consumers can still be moved back to them, see
+  // ConsumerRepository.seek. Truncating by id alone could truncate the events
+  // of transactions that are not yet returned.
+  async truncate({ txid = 0, id = 0 } = {}) {
     const statement = `
-      DELETE 
-      FROM event
-      WHERE id <= $1
+      WITH archived AS (
+        DELETE 
+        FROM event
+        WHERE (txid, id) <= ($1::xid8, $2::bigint)
+        RETURNING *
+      )
+      INSERT INTO event_archive (id, txid, event, object, aggregate_id, data, version, created_at)
+      SELECT id, txid, event, object, aggregate_id, data, version, created_at
+      FROM archived
+      ON CONFLICT (id) DO NOTHING
     `;
-    const values = [eventId];
+    const values = [txid, id];
 
     const result = await this.db.query(statement, values);
     return result.rowCount;
   }
+
+  // Returns the number of events that are not yet relayed, and the age of the
+  // oldest one in seconds.
+  async lag() {
+    const statement = `
+      SELECT 
+        count(*) AS backlog,
+        coalesce(extract(epoch FROM now() - min(created_at)), 0) AS oldest_age
+      FROM event
+    `;
+    const result = await this.db.query(statement);
+    const { backlog, oldest_age } = result.rows[0];
+    return { backlog: Number(backlog), oldestAge: Number(oldest_age) };
+  }
 }
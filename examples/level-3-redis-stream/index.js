@@ -2,11 +2,16 @@
 
 import cron from "node-cron";
 import Redis from "ioredis";
-import db from "../../db.js";
-import migrate from "./migrate.js";
+import db, { createLeaderElection } from "../../db.js";
+import migrate from "../../migrate.js";
 import createUsers from "../../user-store.js";
-import EventStore from "./event-store.js";
 import ConsumerStore from "./consumer-store.js";
+import Relay from "./relay.js";
+import registry from "../../schemas.js";
+import logger from "../../logger.js";
+import { observeHandler, serveMetrics } from "../../metrics.js";
+
+const log = logger.child({ component: "level-3" });
 
 const STREAM_KEY = "mystream"; // TODO: Use $ to indicate stream?
 
@@ -15,24 +20,43 @@ await migrate(db);
 const redis = new Redis();
 await redis.flushall();
 
-const eventStore = new EventStore(db);
+const metricsServer = serveMetrics();
+
 const consumerStore = new ConsumerStore(db);
+const relay = new Relay({ db, redis }, { streamKey: STREAM_KEY });
 
-const processEvents = cron.schedule("*/5 * * * * *", () => {
-  console.log("running a task every 5 seconds");
-  sendEventToRedisStream();
-});
+// Only one instance relays the events to the stream, so that they are sent in
+// order.
+const election = createLeaderElection("level-3-relay");
+await election.start();
+
+const processEvents = cron.schedule(
+  "*/5 * * * * *",
+  election.leaderOnly(() => {
+    sendEventToRedisStream();
+  })
+);
 
 const consumeRedis = cron.schedule("*/5 * * * * *", () => {
-  redisConsumerGroup();
+  redisConsumerGroup().catch(error => {
+    log.error("consumeError", { error });
+  });
 });
 
 async function redisConsumerGroup() {
-  const consumerName = "john";
+  // Not "john", who is a level-2 consumer in the same table.
+  const consumerName = "carol";
   const consumer = await consumerStore.upsert(consumerName);
+  if (consumer.paused) return;
+  let lastEventTxid = consumer.last_event_txid;
   let lastEventId = consumer.last_event_id;
   let lastRedisId = consumer.last_redis_id || "-";
-  console.log("redis consumer", { lastEventId, lastRedisId });
+  log.debug("reading", {
+    consumer: consumerName,
+    lastEventTxid,
+    lastEventId,
+    lastRedisId
+  });
   try {
     const records = await redis.xrange(
       STREAM_KEY,
@@ -42,61 +66,67 @@ async function redisConsumerGroup() {
       1000
     );
     if (!records) return;
-    records.forEach(record => {
+    for (let record of records) {
       const [redisId, fields] = record;
-      const event = {};
+      const entry = {};
       for (let i = 0; i < fields.length; i += 2) {
-        event[fields[i]] = fields[i + 1];
+        entry[fields[i]] = fields[i + 1];
       }
-      event.id = BigInt(event.id);
-      if (event.id <= lastEventId) {
-        console.log("skipping", lastEventId, event.id);
-        return;
+      entry.txid = BigInt(entry.txid);
+      entry.id = BigInt(entry.id);
+      entry.data = JSON.parse(entry.data);
+      // Entries of older schema versions are handled in the latest shape.
+      const event = registry.upcast(entry);
+      // Events are sent in (txid, id) order, see EventStore.findAll.
+      if (
+        event.txid < lastEventTxid ||
+        (event.txid === lastEventTxid && event.id <= lastEventId)
+      ) {
+        log.debug("skipping", { consumer: consumerName, eventId: event.id });
+        continue;
       }
-      // Do work...
-      console.log("performing work", { event, redisId });
+      await observeHandler(consumerName, event.event, () => {
+        // Do work...
+        log.info("performingWork", {
+          consumer: consumerName,
+          eventId: event.id,
+          redisId
+        });
+      });
       lastRedisId = redisId;
+      lastEventTxid = event.txid;
       lastEventId = event.id;
-    });
+    }
     await consumerStore.updateLastCheckpoint(
       consumerName,
+      lastEventTxid,
       lastEventId,
       lastRedisId
     );
   } catch (error) {
-    console.log(error);
+    log.error("consumeError", { consumer: consumerName, error });
   }
 }
 
 async function sendEventToRedisStream() {
-  // TODO: Wrap this in transaction?
-  const events = await eventStore.findAll();
-  let lastEventId = 0;
-  for (let event of events) {
-    try {
-      // The returned value is a boolean, not a redis id...
-      const redisId = await redis.xadd(
-        STREAM_KEY, // Stream key.
-        "*", // Auto-generate stream id.
-        "id",
-        event.id
-      );
-      console.log("added to stream", { redisId, eventId: event.id });
-      lastEventId = event.id;
-    } catch (error) {
-      console.log(error);
-      break;
-    }
+  try {
+    const relayed = await relay.run();
+    const { backlog, oldestAge } = await relay.lag();
+    log.info("relayed", { relayed, backlog, oldestAge });
+  } catch (error) {
+    log.error("relayError", { error });
   }
-  await eventStore.truncate(lastEventId);
 }
 
-createUsers(db);
+// Not awaited, so that the shutdown below is scheduled even if it fails.
+createUsers(db).catch(error => log.error("createUsersError", { error }));
 
 setTimeout(() => {
   // End background tasks before terminating the database connection.
   processEvents.stop();
   consumeRedis.stop();
+  election.stop();
   redis.end();
+  metricsServer?.close();
   db.end();
 }, 15_000);
@@ -0,0 +1,131 @@
+import { withTransaction } from "../../db.js";
+import EventStore from "./event-store.js";
+import Router from "./router.js";
+import logger from "../../logger.js";
+import {
+  outboxBacklog,
+  outboxOldestAge,
+  relayAdded,
+  relaySkipped
+} from "../../metrics.js";
+
+const log = logger.child({ component: "relay" });
+
+// Relay moves the events from the outbox table to the redis stream.
+//
+// The events are locked, sent and archived in one transaction. If the process
+// crashes after `XADD` but before the transaction commits, the events are
+// sent again on the next run. To make that idempotent, the stream id is
+// derived from the event instead of being auto-generated (`*`): the event's
+// (txid, id) becomes the stream id `<txid>-<id>`. Events are read in (txid,
+// id) order (see EventStore.findAll), so the ids always increase, and redis
+// rejects an id that is equal or smaller than the last entry. When the stream
+// has an entry with exactly that id, the event has already been sent, and is
+// skipped. Otherwise the stream has a larger id that the relay did not write,
+// e.g. an entry added with `*`, and the relay stops with an error rather than
+// dropping the event. Such a stream cannot be shared with the relay.
+//
+// Note that the stream ids no longer carry the time the entry was added.
+//
+// By default, every event is sent to `streamKey`. Pass a `router` to send them
+// to different streams instead.
+export default class Relay {
+  constructor(
+    { db, redis },
+    {
+      streamKey = "mystream",
+      maxlen = null,
+      router = new Router([], {
+        streams: { [streamKey]: { maxlen } },
+        fallback: streamKey
+      }),
+      batchSize = 1000
+    } = {}
+  ) {
+    this.db = db;
+    this.redis = redis;
+    this.router = router;
+    this.batchSize = batchSize;
+  }
+
+  // Returns the number of events relayed.
+  async run() {
+    return withTransaction(async tx => {
+      const eventStore = new EventStore(tx);
+      const events = await eventStore.findAll(this.batchSize);
+      let lastEvent;
+      for (let event of events) {
+        try {
+          for (let { streamKey, maxlen } of this.router.route(event)) {
+            const redisId = await this.add(streamKey, maxlen, event);
+            log.debug("added", { streamKey, redisId, eventId: event.id });
+          }
+          lastEvent = event;
+        } catch (error) {
+          log.error("relayError", { eventId: event.id, error });
+          break;
+        }
+      }
+      if (!lastEvent) return 0;
+      return eventStore.truncate(lastEvent);
+    }, this.db);
+  }
+
+  // Returns the stream id, or null if the event was already added. Throws if
+  // the id is rejected for an entry that was not added by the relay.
+  async add(streamKey, maxlen, event) {
+    // MAXLEN ~ caps the stream at roughly that number, so that it doesn't grow
+    // in an unbounded way.
+    const trim = maxlen ? ["MAXLEN", "~", maxlen] : [];
+    try {
+      const redisId = await this.redis.xadd(
+        streamKey,
+        ...trim,
+        streamId(event),
+        "txid",
+        event.txid,
+        "id",
+        event.id,
+        "object",
+        event.object,
+        "event",
+        event.event,
+        // Empty for the events without an aggregate, which are not ordered.
+        "aggregate_id",
+        event.aggregate_id ?? "",
+        "data",
+        JSON.stringify(event.data),
+        "version",
+        event.version
+      );
+      relayAdded.inc({ stream: streamKey });
+      return redisId;
+    } catch (error) {
+      if (!error.message.includes("equal or smaller")) throw error;
+
+      const id = streamId(event);
+      const existing = await this.redis.xrange(streamKey, id, id);
+      if (!existing.length) {
+        throw new Error(
+          `stream ${streamKey} has an id larger than ${id} that was not added by the relay`
+        );
+      }
+      relaySkipped.inc({ stream: streamKey });
+      return null;
+    }
+  }
+
+  // Reports how far behind the relay is: the number of events that are not
+  // yet relayed, and the age of the oldest one in seconds. Also exported as
+  // metrics.
+  async lag() {
+    const lag = await new EventStore(this.db).lag();
+    outboxBacklog.set({}, lag.backlog);
+    outboxOldestAge.set({}, lag.oldestAge);
+    return lag;
+  }
+}
+
+export function streamId(event) {
+  return `${event.txid}-${event.id}`;
+}
@@ -0,0 +1,47 @@
+// Router decides which streams an event is sent to, so that each service only
+// reads the events it is interested in, instead of every event from one
+// stream.
+//
+// Each rule matches the event's `object` and `event` against glob patterns
+// (`*` matches anything, and is the default), and sends matching events to its
+// `stream`. An event is sent to every stream whose rule matches, or to the
+// `fallback` stream if none does. Without a fallback, unmatched events are not
+// sent anywhere.
+//
+// The `streams` configure each stream key, e.g. `{ person: { maxlen: 1000 } }`
+// caps the `person` stream at roughly 1000 entries.
+export default class Router {
+  constructor(rules = [], { streams = {}, fallback = null } = {}) {
+    this.rules = rules.map(({ object = "*", event = "*", stream }) => ({
+      object: toRegExp(object),
+      event: toRegExp(event),
+      stream
+    }));
+    this.streams = streams;
+    this.fallback = fallback;
+  }
+
+  // Returns the streams the event is sent to, with their MAXLEN policy.
+  route(event) {
+    const streamKeys = new Set(
+      this.rules
+        .filter(rule => rule.object.test(event.object))
+        .filter(rule => rule.event.test(event.event))
+        .map(rule => rule.stream)
+    );
+    if (!streamKeys.size && this.fallback) streamKeys.add(this.fallback);
+
+    return [...streamKeys].map(streamKey => ({
+      streamKey,
+      maxlen: this.streams[streamKey]?.maxlen ?? null
+    }));
+  }
+}
+
+function toRegExp(glob) {
+  const pattern = glob
+    .split("*")
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${pattern}$`);
+}
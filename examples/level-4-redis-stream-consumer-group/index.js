@@ -3,139 +3,247 @@
 import cron from "node-cron";
 import Redis from "ioredis";
 import db from "../../db.js";
-import migrate from "../redis-stream/migrate.js";
-import createUser from "../redis-stream/user-store.js";
-import EventStore from "../redis-stream/event-store.js";
+import migrate from "../../migrate.js";
+import createUsers from "../../user-store.js";
+import Relay from "../level-3-redis-stream/relay.js";
+import Router from "../level-3-redis-stream/router.js";
+import Reclaimer, { parseFields, retryKey } from "./reclaimer.js";
+import Worker from "./worker.js";
+import { createGroups } from "./service.js";
+import registry from "../../schemas.js";
+import logger from "../../logger.js";
+import { observeHandler, serveMetrics } from "../../metrics.js";
 
-const STREAM_KEY = "mystream";
-const GROUP_KEY = "mygroup";
+const log = logger.child({ component: "level-4" });
 
 await migrate(db);
 
 const redis = new Redis();
 await redis.flushall();
 
-// Create consumer group.
-try {
-  await redis.xgroup("CREATE", STREAM_KEY, GROUP_KEY, "$", "MKSTREAM");
-} catch (error) {
-  if (error.message.startsWith("BUSYGROUP")) {
-    console.log("consumer name already exists");
-  } else {
-    throw error;
-  }
+const metricsServer = serveMetrics();
+
+// Events of a person are sent to the `person` stream, and everything else to
+// the `events` stream.
+// MAXLEN ~ 1,000,000 caps the stream at roughly that number, so that it doesn't
+// grow in an unbounded way. We might not need this if the stream is truncated
+// after ack. Another strategy is to create a new stream key and deleting the
+// old.
+const router = new Router([{ object: "person", stream: "person" }], {
+  streams: {
+    person: { maxlen: 1_000_000 },
+    events: { maxlen: 100_000 }
+  },
+  fallback: "events"
+});
+const relay = new Relay({ db, redis }, { router });
+
+// Each service only reads the streams it needs, with its own consumer group.
+const emailService = { group: "email", streams: ["person"] };
+const auditService = { group: "audit", streams: ["person", "events"] };
+await createGroups(redis, emailService);
+await createGroups(redis, auditService);
+// The dead-lettered entries that are replayed for a group, see
+// Reclaimer.replay.
+for (let { group, streams } of [emailService, auditService]) {
+  const retryStreams = streams.map(streamKey => retryKey(streamKey, group));
+  await createGroups(redis, { group, streams: retryStreams }, "0");
 }
 
 const processEvents = cron.schedule("*/3 * * * * *", () => {
-  console.log("running a task every 3 seconds");
   streamToRedis();
 });
 
-const john = createConsumer("john");
-const alice = createConsumer("alice");
+const john = createConsumer(emailService, "john");
+const alice = createConsumer(emailService, "alice");
+const bob = createConsumer(auditService, "bob");
 const consumeRedis = cron.schedule("*/3 * * * * *", () => {
-  // Jobs will be distributed between john and alice.
+  // Jobs of the email service will be distributed between john and alice,
+  // while bob receives all of them for the audit service.
   john();
   alice();
+  bob();
 });
 
-function createConsumer(consumerKey) {
-  let checkBacklog = true;
+function handle(consumerKey, { streamKey, redisId, event }) {
+  return observeHandler(consumerKey, event.event, () => {
+    // Do work...
+    log.info("performingWork", {
+      consumer: consumerKey,
+      streamKey,
+      redisId,
+      eventId: event.id
+    });
+  });
+}
+
+function createConsumer({ group, streams: sourceStreams }, consumerKey) {
+  // The retry streams are read along with the streams of the service.
+  const retryStreams = new Map(
+    sourceStreams.map(streamKey => [retryKey(streamKey, group), streamKey])
+  );
+  const streams = [...sourceStreams, ...retryStreams.keys()];
+
+  // Entries of a consumer that died stay pending forever. The live consumers
+  // claim them after a minute, and entries that keep failing are moved to the
+  // dead-letter stream, see `reclaimer.deadLetters()` and
+  // `reclaimer.replay(id)`. Entries of a retry stream that fail again go back
+  // to the dead-letter stream of their stream.
+  const reclaimers = streams.map(
+    streamKey =>
+      new Reclaimer(
+        { redis },
+        {
+          streamKey,
+          groupKey: group,
+          deadLetterKey: `${retryStreams.get(streamKey) ?? streamKey}:dead`,
+          minIdleTime: 60_000,
+          maxDeliveries: 5
+        }
+      )
+  );
+
+  // Events of the same aggregate, e.g. the same person, are handled in order,
+  // while the rest are handled concurrently, up to 10 at a time. Events without
+  // an aggregate are not ordered.
+  const worker = new Worker(
+    async record => {
+      await handle(consumerKey, record);
+
+      // Acknowledge only after the work is done, so that a failed entry stays
+      // pending and is delivered again.
+      await redis.xack(record.streamKey, group, record.redisId);
+    },
+    {
+      concurrency: 10,
+      keyOf: ({ event: { object, aggregate_id = "" } }) =>
+        aggregate_id === "" ? null : `${object}:${aggregate_id}`,
+      idOf: ({ streamKey, redisId }) => `${streamKey}/${redisId}`
+    }
+  );
+  // The same event has the same id in every stream, see Relay.
+  const inFlight = new Set();
+
+  // When we recover from crash, or after claiming entries, process the pending
+  // messages of the stream from this cursor. Else (null), listen to new ones.
+  const backlogIds = new Map(streams.map(streamKey => [streamKey, "0"]));
+  // The stream that is read first, rotated on every run so that one busy
+  // stream does not starve the others.
+  let first = 0;
+  let busy = false;
   return async () => {
+    // The previous run is still waiting for the worker.
+    if (busy) return;
+    busy = true;
     try {
-      // When we recover from crash, process pending messages. Else, listen to new ones.
-      let startId = checkBacklog ? 0 : ">";
-      console.log("startId", checkBacklog, startId);
-      const streams = await redis.xreadgroup(
-        "GROUP",
-        GROUP_KEY,
-        consumerKey,
-        "COUNT",
-        10,
-        "STREAMS",
-        STREAM_KEY,
-        startId
-      );
-      if (!streams) {
-        return;
+      for (let reclaimer of reclaimers) {
+        const { claimed, deadLettered } = await reclaimer.run(consumerKey);
+        if (claimed || deadLettered) {
+          log.info("reclaimed", {
+            consumer: consumerKey,
+            streamKey: reclaimer.streamKey,
+            claimed,
+            deadLettered
+          });
+        }
+        // The claimed entries are now part of our backlog.
+        if (claimed) backlogIds.set(reclaimer.streamKey, "0");
       }
-      // xreadgroup allows reading from multiple streams, but we only read from
-      // one.
-      const [streamName, records] = streams[0];
-      checkBacklog = !(records.length === 0);
-      console.log("Processing stream", streamName);
-      records.forEach(async record => {
-        const [redisId, fields] = record;
-        const event = {};
-        for (let i = 0; i < fields.length; i += 2) {
-          try {
-            event[fields[i]] = JSON.parse(fields[i + 1]);
-          } catch (error) {
-            event[fields[i]] = fields[i + 1];
-          }
+
+      // A key stays blocked while its failed entry is pending for us. Once it
+      // is claimed and acknowledged by another consumer, or dead-lettered,
+      // the entries behind it can be handled.
+      for (let [key, { streamKey, redisId }] of worker.blocked) {
+        const pending = await redis.xpending(
+          streamKey,
+          group,
+          redisId,
+          redisId,
+          1,
+          consumerKey
+        );
+        if (!pending.length) worker.release(key);
+      }
+
+      // Wait while the worker is saturated, and read no more than it can take.
+      // The COUNT of XREADGROUP applies to each stream, so the streams are read
+      // one after another with what is left.
+      let count = await worker.ready();
+      const order = [...streams.slice(first), ...streams.slice(0, first)];
+      first = (first + 1) % streams.length;
+      const result = [];
+      for (let streamKey of order) {
+        if (count === 0) break;
+        const startId = backlogIds.get(streamKey) ?? ">";
+        log.debug("reading", { consumer: consumerKey, streamKey, startId });
+        const reply = await redis.xreadgroup(
+          "GROUP",
+          group,
+          consumerKey,
+          "COUNT",
+          count,
+          "STREAMS",
+          streamKey,
+          startId
+        );
+        const records = reply?.[0][1] ?? [];
+        count -= records.length;
+        result.push([streamKey, records]);
+      }
+      for (let [streamKey, records] of result) {
+        if (backlogIds.get(streamKey) !== null) {
+          const lastRecord = records[records.length - 1];
+          backlogIds.set(streamKey, lastRecord?.[0] ?? null);
         }
-        event.id = BigInt(event.id);
-        // Do work...
-        console.log(consumerKey, "performing work", { event, redisId });
-
-        // Acknowledge.
-        const ack = await redis.xack(STREAM_KEY, GROUP_KEY, redisId);
-        console.log(ack);
-      });
+        for (let [redisId, fields] of records) {
+          // The backlog includes the entries that are still being processed.
+          const key = `${streamKey}/${redisId}`;
+          if (inFlight.has(key)) continue;
+          inFlight.add(key);
+
+          // Entries of older schema versions are handled in the latest shape.
+          const event = registry.upcast(parseFields(fields));
+          event.id = BigInt(event.id);
+          worker
+            .push({ streamKey, redisId, event })
+            .catch(error => {
+              log.error("handleError", {
+                consumer: consumerKey,
+                streamKey,
+                redisId,
+                eventId: event.id,
+                error
+              });
+            })
+            .finally(() => inFlight.delete(key));
+        }
+      }
     } catch (error) {
-      console.log(error);
+      log.error("consumeError", { consumer: consumerKey, error });
+    } finally {
+      busy = false;
     }
   };
 }
 
 async function streamToRedis() {
-  // Wrap in transaction to prevent same reads...
   try {
-    await db.query("BEGIN");
-    const eventStore = new EventStore(db);
-    const events = await eventStore.findAll();
-
-    let lastEventId = 0;
-    for (let event of events) {
-      try {
-        // MAXLEN ~ 1,000,000 caps the stream at roughly that number, so that it
-        // doesn't grow in an unbounded way. We might not need this if the stream
-        // is truncated after ack. Another strategy is to create a new stream key
-        // and deleting the old.
-        const redisId = await redis.xadd(
-          STREAM_KEY, // Stream key.
-          "MAXLEN",
-          "~",
-          1_000_000,
-          "*", // Auto-generate stream id.
-          "id",
-          event.id,
-          "object",
-          event.object,
-          "data",
-          JSON.stringify(event.data)
-        );
-        console.log("added to stream", { redisId, eventId: event.id });
-        lastEventId = event.id;
-      } catch (error) {
-        console.log(error);
-        break;
-      }
-    }
-    await eventStore.truncate(lastEventId);
-    await db.query("COMMIT");
+    const relayed = await relay.run();
+    const { backlog, oldestAge } = await relay.lag();
+    log.info("relayed", { relayed, backlog, oldestAge });
   } catch (error) {
-    await db.query("ROLLBACK");
-    throw error;
+    log.error("relayError", { error });
   }
 }
 
-createUser(db);
+// Not awaited, so that the shutdown below is scheduled even if it fails.
+createUsers(db).catch(error => log.error("createUsersError", { error }));
 
 setTimeout(() => {
   // End background tasks before terminating the database connection.
   processEvents.stop();
   consumeRedis.stop();
   redis.end();
+  metricsServer?.close();
   db.end();
 }, 15_000);
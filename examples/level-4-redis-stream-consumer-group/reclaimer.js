@@ -0,0 +1,186 @@
+import logger from "../../logger.js";
+
+const log = logger.child({ component: "reclaimer" });
+
+// Reclaimer recovers the entries of a consumer group that are stuck in the
+// pending entries list (PEL), e.g. because the consumer that read them died
+// before acknowledging them.
+//
+// Entries that have been idle for longer than `minIdleTime` (in milliseconds)
+// are claimed by a live consumer, which then reads them as its backlog
+// (`XREADGROUP ... 0`). Entries that have been delivered `maxDeliveries` times
+// are poison messages, they are moved to the dead-letter stream and
+// acknowledged, so that they are not retried forever.
+//
+// NOTE: XAUTOCLAIM and XPENDING with IDLE require redis 6.2, so XPENDING and
+// XCLAIM are used instead.
+export default class Reclaimer {
+  constructor(
+    { redis },
+    {
+      streamKey,
+      groupKey,
+      deadLetterKey = `${streamKey}:dead`,
+      minIdleTime = 60_000,
+      maxDeliveries = 5,
+      count = 100
+    }
+  ) {
+    this.redis = redis;
+    this.streamKey = streamKey;
+    this.groupKey = groupKey;
+    this.deadLetterKey = deadLetterKey;
+    this.minIdleTime = minIdleTime;
+    this.maxDeliveries = maxDeliveries;
+    this.count = count;
+  }
+
+  // Claims the stuck entries for the consumer. Returns the number of entries
+  // claimed and dead-lettered.
+  async run(consumerKey) {
+    const pending = await this.redis.xpending(
+      this.streamKey,
+      this.groupKey,
+      "-",
+      "+",
+      this.count
+    );
+    const stuck = pending.filter(([, , idle]) => idle >= this.minIdleTime);
+
+    let deadLettered = 0;
+    const ids = [];
+    for (let [redisId, owner, , deliveries] of stuck) {
+      if (deliveries >= this.maxDeliveries) {
+        await this.bury(redisId, owner, deliveries);
+        deadLettered++;
+      } else {
+        ids.push(redisId);
+      }
+    }
+    if (!ids.length) return { claimed: 0, deadLettered };
+
+    // Only entries that are still idle are claimed, in case another consumer
+    // claimed them in the meantime.
+    const records = await this.redis.xclaim(
+      this.streamKey,
+      this.groupKey,
+      consumerKey,
+      this.minIdleTime,
+      ...ids
+    );
+    return { claimed: records.length, deadLettered };
+  }
+
+  async bury(redisId, owner, deliveries) {
+    // The entry may have been trimmed from the stream.
+    const [record] = await this.redis.xrange(
+      this.streamKey,
+      redisId,
+      redisId
+    );
+    const fields = record?.[1] ?? [];
+    await this.redis
+      .multi()
+      .xadd(
+        this.deadLetterKey,
+        "*",
+        "stream",
+        this.streamKey,
+        "group",
+        this.groupKey,
+        "redis_id",
+        redisId,
+        "consumer",
+        owner,
+        "deliveries",
+        deliveries,
+        ...fields
+      )
+      .xack(this.streamKey, this.groupKey, redisId)
+      .exec();
+    log.warn("deadLettered", {
+      streamKey: this.streamKey,
+      group: this.groupKey,
+      redisId,
+      owner,
+      deliveries
+    });
+  }
+
+  async deadLetters(start = "-", count = 100) {
+    const records = await this.redis.xrange(
+      this.deadLetterKey,
+      start,
+      "+",
+      "COUNT",
+      count
+    );
+    return records.map(([redisId, fields]) => ({
+      redisId,
+      ...parseFields(fields)
+    }));
+  }
+
+  // Adds the dead-lettered entry to the retry stream of the group that
+  // dead-lettered it, see `retryKey`, and removes it from the dead-letter
+  // stream. Returns false if it does not exist.
+  //
+  // Only that group receives the entry again, with the same event id, while
+  // the other groups of the stream, which handled it already, do not. It is
+  // not added back to the stream itself, since the relay derives the stream
+  // ids from the events, and an auto-generated id would be larger than any of
+  // them, see relay.js.
+  async replay(redisId) {
+    const [record] = await this.redis.xrange(
+      this.deadLetterKey,
+      redisId,
+      redisId
+    );
+    if (!record) return false;
+
+    const fields = [];
+    let group = null;
+    for (let i = 0; i < record[1].length; i += 2) {
+      const [name, value] = [record[1][i], record[1][i + 1]];
+      if (name === "group") group = value;
+      if (!DEAD_LETTER_FIELDS.includes(name)) fields.push(name, value);
+    }
+    if (group === null) {
+      throw new Error(`dead letter ${redisId} has no group`);
+    }
+    // Only the consumers that created their group on the retry stream read it,
+    // see createConsumer in level-4 index.js and the level-5 RedisSubscriber.
+    const key = retryKey(this.streamKey, group);
+    const groups = await this.redis.xinfo("GROUPS", key).catch(() => []);
+    if (!groups.some(fields => String(parseFields(fields).name) === group)) {
+      throw new Error(`group ${group} does not read ${key}`);
+    }
+    await this.redis
+      .multi()
+      .xadd(key, "*", ...fields)
+      .xdel(this.deadLetterKey, redisId)
+      .exec();
+    return true;
+  }
+}
+
+// The fields that `bury` adds in front of the entry.
+const DEAD_LETTER_FIELDS = ["stream", "group", "redis_id", "consumer", "deliveries"];
+
+// The stream of the entries replayed for one group of the stream. The
+// consumers of the group read it along with the stream.
+export function retryKey(streamKey, group) {
+  return `${streamKey}:retry:${group}`;
+}
+
+export function parseFields(fields) {
+  const event = {};
+  for (let i = 0; i < fields.length; i += 2) {
+    try {
+      event[fields[i]] = JSON.parse(fields[i + 1]);
+    } catch (error) {
+      event[fields[i]] = fields[i + 1];
+    }
+  }
+  return event;
+}
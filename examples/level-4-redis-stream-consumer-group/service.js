@@ -0,0 +1,26 @@
+import logger from "../../logger.js";
+
+const log = logger.child({ component: "service" });
+
+// A service declares the streams it consumes, and the consumer group it
+// consumes them with, e.g. `{ group: "email", streams: ["person"] }`. Every
+// service receives every entry of its streams, while the consumers within a
+// service share them.
+
+// Creates the service's consumer group on each of its streams. Safe to call on
+// every startup. By default (`$`), a new group only receives the entries added
+// after it is created, pass `0` to receive the existing entries too.
+export async function createGroups(redis, { group, streams }, startId = "$") {
+  for (let streamKey of streams) {
+    try {
+      // MKSTREAM creates the stream if no event has been routed to it yet.
+      await redis.xgroup("CREATE", streamKey, group, startId, "MKSTREAM");
+    } catch (error) {
+      if (error.message.startsWith("BUSYGROUP")) {
+        log.debug("groupExists", { group, streamKey });
+      } else {
+        throw error;
+      }
+    }
+  }
+}
@@ -0,0 +1,82 @@
+// Worker processes items with at most `concurrency` items in flight, while
+// items with the same partition key (see `keyOf`) are processed one after
+// another, in the order they are pushed.
+//
+// When an item fails, its key is blocked: the items with the same key fail
+// too without being handled, so that they are not processed out of order,
+// until the failed item (same `idOf`) is pushed again and succeeds, or the key
+// is released with `release`. For stream entries, that means they stay
+// pending and are delivered again later.
+export default class Worker {
+  constructor(
+    handler,
+    { concurrency = 10, keyOf = () => null, idOf = item => item } = {}
+  ) {
+    this.handler = handler;
+    this.concurrency = concurrency;
+    this.keyOf = keyOf;
+    this.idOf = idOf;
+
+    this.active = 0;
+    this.chains = new Map();
+    // The failed item of each blocked key.
+    this.blocked = new Map();
+    this.waiters = [];
+  }
+
+  get available() {
+    return Math.max(0, this.concurrency - this.active);
+  }
+
+  // Resolves with the number of available slots once the worker is no longer
+  // saturated.
+  async ready() {
+    while (this.available === 0) {
+      await new Promise(resolve => this.waiters.push(resolve));
+    }
+    return this.available;
+  }
+
+  // Starts processing the item, call `ready` first to respect the concurrency
+  // limit. Returns a promise that settles when the item is processed.
+  push(item) {
+    this.active++;
+
+    // Items without a key are not ordered.
+    const key = this.keyOf(item);
+    const previous = (key !== null && this.chains.get(key)) || Promise.resolve();
+    const current = previous
+      .catch(() => {})
+      .then(() => this.handle(key, item));
+    if (key !== null) this.chains.set(key, current);
+
+    const done = () => {
+      // Start a new chain for the key once the last item settles.
+      if (this.chains.get(key) === current) this.chains.delete(key);
+      this.active--;
+      this.waiters.shift()?.();
+    };
+    current.then(done, done);
+    return current;
+  }
+
+  async handle(key, item) {
+    const failed = this.blocked.get(key);
+    if (failed !== undefined && this.idOf(failed) !== this.idOf(item)) {
+      throw new Error(`${key} is blocked by ${this.idOf(failed)}`);
+    }
+    try {
+      const result = await this.handler(item);
+      this.blocked.delete(key);
+      return result;
+    } catch (error) {
+      if (key !== null) this.blocked.set(key, item);
+      throw error;
+    }
+  }
+
+  // Unblocks the key, e.g. once the failed item is handled elsewhere.
+  release(key) {
+    this.blocked.delete(key);
+  }
+}
@@ -0,0 +1,7 @@
+// Every transport delivers events to the handlers in the same envelope, so
+// that handler code does not depend on where the events come from. Ids are
+// strings, since each transport has its own id (outbox ids are bigint, and
+// stream entries without an event id use the redis id).
+export function createEnvelope({ id, object, event, data = {} }) {
+  return { id: String(id), object, event, data };
+}
@@ -0,0 +1,27 @@
+// Handlers holds the handlers of a subscriber, with the same semantics as the
+// level-2 Consumer: handlers are registered per event name, or for every event
+// with `*`, and are awaited in the order they are registered.
+export default class Handlers {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  on(eventName, handler) {
+    const handlers = this.handlers.get(eventName) ?? [];
+    handlers.push(handler);
+    this.handlers.set(eventName, handlers);
+    return this;
+  }
+
+  // Resolves when every handler succeeds (ack), and rejects when one fails
+  // (nack).
+  async dispatch(envelope) {
+    const handlers = [
+      ...(this.handlers.get(envelope.event) ?? []),
+      ...(this.handlers.get("*") ?? [])
+    ];
+    for (let handler of handlers) {
+      await handler(envelope);
+    }
+  }
+}
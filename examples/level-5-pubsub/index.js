@@ -0,0 +1,47 @@
+// This example demonstrates the same handlers running on every transport.
+
+import Redis from "ioredis";
+import db from "../../db.js";
+import migrate from "../../migrate.js";
+import MemoryTransport from "./memory.js";
+import PostgresTransport from "./postgres.js";
+import RedisTransport from "./redis.js";
+import logger from "../../logger.js";
+
+const log = logger.child({ component: "level-5" });
+
+await migrate(db);
+
+const redis = new Redis();
+
+// The handlers only see the envelope, so they do not know which transport
+// delivered the event.
+function subscribe(subscriber) {
+  return subscriber
+    .on("person_created", ({ id }) => {
+      log.info("sendingWelcomeEmail", { eventId: id });
+    })
+    .on("*", ({ id, object, event }) => {
+      log.info("audit", { eventId: id, object, event });
+    });
+}
+
+const transports = {
+  memory: new MemoryTransport(),
+  postgres: new PostgresTransport(db),
+  redis: new RedisTransport(redis, { streamKey: "pubsub" })
+};
+
+for (let [name, transport] of Object.entries(transports)) {
+  log.info("transport", { transport: name });
+  const subscriber = subscribe(transport.subscriber("email"));
+  await transport.publisher().publish({
+    object: "person",
+    event: "person_created",
+    data: { name: "john" }
+  });
+  await subscriber.run();
+}
+
+redis.end();
+db.end();
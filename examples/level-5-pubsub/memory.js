@@ -0,0 +1,84 @@
+import { createEnvelope } from "./envelope.js";
+import Handlers from "./handlers.js";
+import logger from "../../logger.js";
+import { observeHandler } from "../../metrics.js";
+
+const log = logger.child({ component: "memory" });
+
+// MemoryTransport keeps the events in an array, and the offset of each group
+// in a map. It needs neither Postgres nor Redis, so handlers can be unit
+// tested with it, e.g.:
+//
+//   const transport = new MemoryTransport();
+//   const subscriber = transport.subscriber("email").on("person_created", handler);
+//   await transport.publisher().publish({ object, event, data });
+//   await subscriber.run();
+export default class MemoryTransport {
+  constructor() {
+    this.events = [];
+    this.offsets = new Map();
+  }
+
+  publisher() {
+    return new MemoryPublisher(this);
+  }
+
+  // Subscribers of the same group share the offset.
+  subscriber(group) {
+    return new MemorySubscriber(this, group);
+  }
+}
+
+export class MemoryPublisher {
+  constructor(transport) {
+    this.transport = transport;
+  }
+
+  async publish(message) {
+    const { events } = this.transport;
+    const envelope = createEnvelope({ id: events.length + 1, ...message });
+    events.push(envelope);
+    return envelope;
+  }
+}
+
+export class MemorySubscriber {
+  constructor(transport, group) {
+    this.transport = transport;
+    this.group = group;
+    this.handlers = new Handlers();
+  }
+
+  on(eventName, handler) {
+    this.handlers.on(eventName, handler);
+    return this;
+  }
+
+  // Delivers the events after the group's offset. A failed event is not
+  // acknowledged, and is delivered again, with the events after it, on the
+  // next run. Returns true if all events are handled.
+  async run() {
+    const { events, offsets } = this.transport;
+    let offset = offsets.get(this.group) ?? 0;
+    if (offset === events.length) return false;
+
+    try {
+      for (; offset < events.length; offset++) {
+        const envelope = events[offset];
+        await observeHandler(this.group, envelope.event, () =>
+          this.handlers.dispatch(envelope)
+        );
+      }
+      return true;
+    } catch (error) {
+      log.error("handleError", {
+        group: this.group,
+        eventId: events[offset].id,
+        error
+      });
+      return false;
+    } finally {
+      offsets.set(this.group, offset);
+    }
+  }
+}
@@ -0,0 +1,65 @@
+import { withTransaction } from "../../db.js";
+import Outbox from "../../outbox.js";
+import Consumer from "../level-2-custom-multi-consumer/consumer.js";
+import EventRepository from "../level-2-custom-multi-consumer/repository/event.js";
+import ConsumerRepository from "../level-2-custom-multi-consumer/repository/consumer.js";
+import { createEnvelope } from "./envelope.js";
+
+// PostgresTransport publishes through the outbox, and subscribes with the
+// level-2 Consumer, where each group is a consumer with its own checkpoint.
+export default class PostgresTransport {
+  constructor(db, { outbox = new Outbox() } = {}) {
+    this.db = db;
+    this.outbox = outbox;
+    this.eventRepository = new EventRepository(db);
+    this.consumerRepository = new ConsumerRepository(db);
+  }
+
+  publisher() {
+    return new PostgresPublisher(this.db, this.outbox);
+  }
+
+  subscriber(group) {
+    return new PostgresSubscriber(
+      new Consumer(group, {
+        eventRepository: this.eventRepository,
+        consumerRepository: this.consumerRepository
+      })
+    );
+  }
+}
+
+export class PostgresPublisher {
+  constructor(db, outbox) {
+    this.db = db;
+    this.outbox = outbox;
+  }
+
+  // Pass the `tx` to publish the event in the same transaction as the changes
+  // that produced it. Without it, the event is published in a transaction of
+  // its own.
+  async publish(message, { tx } = {}) {
+    const event = tx
+      ? await this.outbox.publish(tx, message)
+      : await withTransaction(tx => this.outbox.publish(tx, message), this.db);
+    return createEnvelope(event);
+  }
+}
+
+export class PostgresSubscriber {
+  constructor(consumer) {
+    this.consumer = consumer;
+  }
+
+  on(eventName, handler) {
+    this.consumer.on(eventName, event => handler(createEnvelope(event)));
+    return this;
+  }
+
+  // A failed event stops the checkpoint before it, so it is delivered again,
+  // with the events after it, on the next run. Returns true if all events are
+  // handled.
+  run() {
+    return this.consumer.run();
+  }
+}
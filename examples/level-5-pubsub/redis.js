@@ -0,0 +1,193 @@
+import Reclaimer, {
+  parseFields,
+  retryKey
+} from "../level-4-redis-stream-consumer-group/reclaimer.js";
+import { createGroups } from "../level-4-redis-stream-consumer-group/service.js";
+import { createEnvelope } from "./envelope.js";
+import Handlers from "./handlers.js";
+import logger from "../../logger.js";
+import { observeHandler } from "../../metrics.js";
+
+const log = logger.child({ component: "redis" });
+
+// RedisTransport publishes to a redis stream, and subscribes with consumer
+// groups, where each group receives every entry of the stream.
+//
+// The consumer name changes with every process, so the entries left pending
+// by a previous process are claimed once they are idle for `minIdleTime`, and
+// dead-lettered after `maxDeliveries`, see the level-4 Reclaimer.
+export default class RedisTransport {
+  constructor(
+    redis,
+    {
+      streamKey = "mystream",
+      count = 100,
+      minIdleTime = 60_000,
+      maxDeliveries = 5
+    } = {}
+  ) {
+    this.redis = redis;
+    this.streamKey = streamKey;
+    this.count = count;
+    this.minIdleTime = minIdleTime;
+    this.maxDeliveries = maxDeliveries;
+  }
+
+  publisher() {
+    return new RedisPublisher(this.redis, this.streamKey);
+  }
+
+  subscriber(group, consumerKey = `${group}-${process.pid}`) {
+    return new RedisSubscriber(this.redis, {
+      streamKey: this.streamKey,
+      group,
+      consumerKey,
+      count: this.count,
+      minIdleTime: this.minIdleTime,
+      maxDeliveries: this.maxDeliveries
+    });
+  }
+}
+
+// RedisPublisher adds the events to the stream directly, with auto-generated
+// ids. Do not publish to a stream that the Relay writes to, since the Relay
+// stops once the last entry has a larger id than its events, see relay.js.
+export class RedisPublisher {
+  constructor(redis, streamKey) {
+    this.redis = redis;
+    this.streamKey = streamKey;
+  }
+
+  async publish({ object, event, data = {} }) {
+    const redisId = await this.redis.xadd(
+      this.streamKey,
+      "*",
+      "object",
+      object,
+      "event",
+      event,
+      "data",
+      JSON.stringify(data)
+    );
+    return createEnvelope({ id: redisId, object, event, data });
+  }
+}
+
+// RedisSubscriber reads the stream, and the retry stream of its group, where
+// the dead-lettered entries are replayed, see Reclaimer.replay.
+export class RedisSubscriber {
+  constructor(
+    redis,
+    { streamKey, group, consumerKey, count, minIdleTime, maxDeliveries }
+  ) {
+    this.redis = redis;
+    this.streamKey = streamKey;
+    this.group = group;
+    this.consumerKey = consumerKey;
+    this.count = count;
+    this.handlers = new Handlers();
+    this.streams = [streamKey, retryKey(streamKey, group)];
+    // Entries of the retry stream that fail again go back to the dead-letter
+    // stream of the stream.
+    this.reclaimers = this.streams.map(
+      key =>
+        new Reclaimer(
+          { redis },
+          {
+            streamKey: key,
+            groupKey: group,
+            deadLetterKey: `${streamKey}:dead`,
+            minIdleTime,
+            maxDeliveries
+          }
+        )
+    );
+
+    // Pending entries are read from this cursor on start, and after a failure.
+    // Else (null), new entries are read.
+    this.backlogIds = new Map(this.streams.map(key => [key, "0"]));
+    this.created = null;
+  }
+
+  on(eventName, handler) {
+    this.handlers.on(eventName, handler);
+    return this;
+  }
+
+  // Entries are acknowledged once handled. A failed entry is left pending, and
+  // is delivered again, with the entries after it, on the next run. Returns
+  // true if all entries are handled.
+  async run() {
+    // A new group starts from the beginning of the stream, like a new
+    // consumer in Postgres. Creating is tried again on the next run if it
+    // fails.
+    this.created ??= createGroups(
+      this.redis,
+      { group: this.group, streams: this.streams },
+      "0"
+    ).catch(error => {
+      this.created = null;
+      throw error;
+    });
+    await this.created;
+
+    let handled = false;
+    for (let reclaimer of this.reclaimers) {
+      const streamKey = reclaimer.streamKey;
+      // The claimed entries are read with our own pending ones.
+      const { claimed } = await reclaimer.run(this.consumerKey);
+      if (claimed) this.backlogIds.set(streamKey, "0");
+
+      const records = await this.read(streamKey);
+      if (!records.length) continue;
+
+      for (let [redisId, fields] of records) {
+        const message = parseFields(fields);
+        const envelope = createEnvelope({
+          ...message,
+          id: message.id ?? redisId
+        });
+        try {
+          await observeHandler(this.group, envelope.event, () =>
+            this.handlers.dispatch(envelope)
+          );
+        } catch (error) {
+          log.error("handleError", {
+            group: this.group,
+            streamKey,
+            redisId,
+            eventId: envelope.id,
+            error
+          });
+          this.backlogIds.set(streamKey, "0");
+          return false;
+        }
+        await this.redis.xack(streamKey, this.group, redisId);
+      }
+      handled = true;
+    }
+    return handled;
+  }
+
+  async read(streamKey) {
+    const backlogId = this.backlogIds.get(streamKey);
+    const streams = await this.redis.xreadgroup(
+      "GROUP",
+      this.group,
+      this.consumerKey,
+      "COUNT",
+      this.count,
+      "STREAMS",
+      streamKey,
+      backlogId ?? ">"
+    );
+    const records = streams?.[0][1] ?? [];
+    if (backlogId !== null) {
+      this.backlogIds.set(
+        streamKey,
+        records.length ? records[records.length - 1][0] : null
+      );
+    }
+    return records;
+  }
+}
@@ -0,0 +1,34 @@
+// This example demonstrates streaming the events from a logical replication
+// slot, instead of LISTEN/NOTIFY and polling.
+
+import db, { createReplicationSource } from "../../db.js";
+import migrate from "../../migrate.js";
+import createUsers from "../../user-store.js";
+import logger from "../../logger.js";
+import { serveMetrics } from "../../metrics.js";
+
+const log = logger.child({ component: "level-6" });
+
+await migrate(db);
+
+// The same handler as the notification path in level 1.
+function handle(event) {
+  log.info("processing", { eventId: event.id, event: event.event });
+}
+
+// NOTE: The slot outlives the process, and delivers the events published while
+// it was stopped on the next start.
+const source = createReplicationSource({ slotName: "level_6_outbox" });
+source.on("person_created", handle);
+await source.start();
+
+const metricsServer = serveMetrics();
+
+// Not awaited, so that the shutdown below is scheduled even if it fails.
+createUsers(db).catch(error => log.error("createUsersError", { error }));
+
+setTimeout(async () => {
+  await source.end();
+  metricsServer?.close();
+  db.end();
+}, 10_000);
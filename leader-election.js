@@ -0,0 +1,103 @@
+import pg from "pg";
+import logger from "./logger.js";
+
+const log = logger.child({ component: "leaderElection" });
+
+// LeaderElection elects one instance among many to run singleton background
+// jobs, using a Postgres session-level advisory lock held on a dedicated
+// connection.
+//
+// Every `interval`, followers try to take the lock, and the leader checks that
+// its session is still alive. The lock is released by Postgres when the
+// session ends, so when the leader loses its connection, it is demoted, and
+// another instance is elected on its next attempt. Note that there is a
+// window (up to `interval`) where the old leader has not noticed yet, so
+// leader-only jobs should still be safe to run concurrently, e.g. with
+// `FOR UPDATE`.
+export default class LeaderElection {
+  constructor(
+    config,
+    name,
+    { interval = 5_000, onElected = () => {}, onDemoted = () => {} } = {}
+  ) {
+    this.config = config;
+    this.name = name;
+    this.interval = interval;
+    this.onElected = onElected;
+    this.onDemoted = onDemoted;
+
+    this.client = null;
+    this.leader = false;
+    this.timer = null;
+  }
+
+  get isLeader() {
+    return this.leader;
+  }
+
+  async start() {
+    await this.campaign();
+    this.timer = setInterval(() => this.campaign(), this.interval);
+  }
+
+  async campaign() {
+    try {
+      if (!this.client) await this.connect();
+      if (this.leader) {
+        // The lock is held as long as the session is alive.
+        await this.client.query("SELECT 1");
+        return;
+      }
+      const result = await this.client.query(
+        "SELECT pg_try_advisory_lock(hashtext($1)) AS locked",
+        [this.name]
+      );
+      if (result.rows[0].locked) this.elect();
+    } catch (error) {
+      log.error("campaignError", { name: this.name, error });
+      this.disconnect(this.client);
+    }
+  }
+
+  async connect() {
+    const client = new pg.Client(this.config);
+    client.on("error", () => this.disconnect(client));
+    client.on("end", () => this.disconnect(client));
+    this.client = client;
+    await client.connect();
+  }
+
+  disconnect(client) {
+    if (!client || this.client !== client) return;
+    this.client = null;
+    client.end().catch(() => {});
+    this.demote();
+  }
+
+  elect() {
+    this.leader = true;
+    log.info("elected", { name: this.name });
+    this.onElected();
+  }
+
+  demote() {
+    if (!this.leader) return;
+    this.leader = false;
+    log.info("demoted", { name: this.name });
+    this.onDemoted();
+  }
+
+  // Wraps the function so that it only runs when this instance is the leader.
+  leaderOnly(fn) {
+    return (...args) => (this.leader ? fn(...args) : undefined);
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    const client = this.client;
+    this.client = null;
+    this.demote();
+    // Ending the session releases the lock.
+    await client?.end();
+  }
+}
@@ -0,0 +1,126 @@
+import EventEmitter from "events";
+import pg from "pg";
+import logger from "./logger.js";
+
+const log = logger.child({ component: "listener" });
+
+// Listener owns a dedicated pg.Client for LISTEN/NOTIFY, and keeps it alive.
+//
+// When the connection is lost (Postgres restarts, socket drops), the client is
+// discarded and a new one is created with exponential backoff. Every channel
+// that was registered through `listen` is subscribed again, and the optional
+// `catchUp` function is called to process events that were published while we
+// were disconnected, since NOTIFY does not replay missed messages.
+export default class Listener extends EventEmitter {
+  constructor(
+    config,
+    { catchUp = null, baseDelay = 1_000, maxDelay = 30_000 } = {}
+  ) {
+    super();
+    this.config = config;
+    this.catchUp = catchUp;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+
+    this.channels = new Set();
+    this.client = null;
+    this.attempts = 0;
+    this.timeout = null;
+    this.ended = false;
+  }
+
+  get delay() {
+    const delay = Math.min(
+      this.maxDelay,
+      this.baseDelay * Math.pow(2, this.attempts)
+    );
+    return Math.floor(delay / 2 + (Math.random() * delay) / 2);
+  }
+
+  async connect() {
+    const client = new pg.Client(this.config);
+    client.on("notification", notification =>
+      this.emit("notification", notification)
+    );
+    // Without an error handler, the error is thrown and crashes the process.
+    client.on("error", error => this.disconnect(client, error));
+    client.on("end", () => this.disconnect(client));
+
+    try {
+      await client.connect();
+      for (let channel of this.channels) {
+        await client.query(`LISTEN ${client.escapeIdentifier(channel)}`);
+      }
+    } catch (error) {
+      client.removeAllListeners();
+      client.on("error", () => {});
+      client.end().catch(() => {});
+      throw error;
+    }
+    this.client = client;
+
+    const reconnected = this.attempts > 0;
+    this.attempts = 0;
+    if (reconnected) {
+      log.info("reconnected", { channels: [...this.channels] });
+      this.emit("reconnect");
+      // LISTEN is issued before the catch-up, so that no notification falls in
+      // between. A failed catch-up does not fail the connection, which is
+      // already listening, the events are left to the next catch-up or cron.
+      try {
+        await this.catchUp?.();
+      } catch (error) {
+        log.error("catchUpError", { error });
+      }
+    }
+    return client;
+  }
+
+  disconnect(client, error) {
+    // Both `error` and `end` may fire for the same client.
+    if (this.client !== client && this.client !== null) return;
+    if (this.ended || this.timeout) return;
+
+    this.client = null;
+    client.removeAllListeners("notification");
+    log.warn("disconnected", { error });
+    this.emit("disconnect", error);
+    this.reconnect();
+  }
+
+  reconnect() {
+    const delay = this.delay;
+    this.attempts++;
+    log.info("reconnecting", { delay });
+    this.timeout = setTimeout(async () => {
+      this.timeout = null;
+      try {
+        await this.connect();
+      } catch (error) {
+        log.error("reconnectError", { error });
+        this.reconnect();
+      }
+    }, delay);
+  }
+
+  async listen(channel) {
+    this.channels.add(channel);
+    // When disconnected, the channel is subscribed on reconnect.
+    await this.client?.query(`LISTEN ${this.client.escapeIdentifier(channel)}`);
+  }
+
+  async unlisten(channel) {
+    this.channels.delete(channel);
+    await this.client?.query(
+      `UNLISTEN ${this.client.escapeIdentifier(channel)}`
+    );
+  }
+
+  async end() {
+    this.ended = true;
+    clearTimeout(this.timeout);
+    this.timeout = null;
+    await this.client?.end();
+    this.client = null;
+  }
+}
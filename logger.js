@@ -0,0 +1,60 @@
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Logger writes one JSON object per line to stdout, so that the logs can be
+// parsed and filtered, e.g.
+//
+//   {"time":"2021-01-31T10:00:00.000Z","level":"info","msg":"handled","component":"consumer","consumer":"john","eventId":"42"}
+//
+// Use `child` to add context to every line, e.g. the component or the
+// consumer name, and pass the rest, e.g. the event id, as fields. Set
+// LOG_LEVEL to `debug` for the noisy lines.
+export class Logger {
+  constructor(context = {}, { level = process.env.LOG_LEVEL || "info" } = {}) {
+    this.context = context;
+    this.level = level;
+  }
+
+  child(context) {
+    return new Logger({ ...this.context, ...context }, { level: this.level });
+  }
+
+  debug(msg, fields) {
+    this.log("debug", msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log("info", msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log("warn", msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log("error", msg, fields);
+  }
+
+  log(level, msg, fields = {}) {
+    if (LEVELS[level] < LEVELS[this.level]) return;
+
+    const line = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...this.context,
+      ...fields
+    };
+    process.stdout.write(JSON.stringify(line, replacer) + "\n");
+  }
+}
+
+// Ids are bigints, and errors have no enumerable properties.
+function replacer(key, value) {
+  if (typeof value === "bigint") return String(value);
+  if (value instanceof Error) return value.message;
+  return value;
+}
+
+const logger = new Logger();
+
+export default logger;
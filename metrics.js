@@ -0,0 +1,230 @@
+import http from "http";
+import logger from "./logger.js";
+
+const log = logger.child({ component: "metrics" });
+
+// A minimal metrics registry with the Prometheus text exposition format, see
+// https://prometheus.io/docs/instrumenting/exposition_formats/.
+//
+// Metrics are kept per process. Each process that runs workers exposes its
+// own, see `serveMetrics`, and Prometheus sums them up.
+export class Registry {
+  constructor() {
+    this.metrics = new Map();
+    this.collectors = [];
+  }
+
+  // Returns the existing metric of the same name, so that modules can declare
+  // the metrics they share.
+  register(metric) {
+    const existing = this.metrics.get(metric.name);
+    if (existing) return existing;
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help) {
+    return this.register(new Counter(name, help));
+  }
+
+  gauge(name, help) {
+    return this.register(new Gauge(name, help));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  // Registers a function that updates the metrics before every exposition,
+  // e.g. gauges that are read from the database.
+  collect(fn) {
+    this.collectors.push(fn);
+  }
+
+  async expose() {
+    for (let collector of this.collectors) {
+      try {
+        await collector();
+      } catch (error) {
+        log.error("collectError", { error });
+      }
+    }
+    const lines = [];
+    for (let metric of this.metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      lines.push(...metric.lines());
+    }
+    return lines.join("\n") + "\n";
+  }
+}
+
+class Metric {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.values = new Map();
+  }
+
+  lines() {
+    return [...this.values].map(
+      ([key, value]) => `${this.name}${key} ${value}`
+    );
+  }
+}
+
+export class Counter extends Metric {
+  type = "counter";
+
+  inc(labels = {}, value = 1) {
+    const key = formatLabels(labels);
+    this.values.set(key, (this.values.get(key) ?? 0) + value);
+  }
+}
+
+export class Gauge extends Metric {
+  type = "gauge";
+
+  set(labels = {}, value) {
+    this.values.set(formatLabels(labels), value);
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = formatLabels(labels);
+    this.values.set(key, (this.values.get(key) ?? 0) + value);
+  }
+}
+
+// Durations are in seconds, see the default buckets.
+export class Histogram extends Metric {
+  type = "histogram";
+
+  constructor(
+    name,
+    help,
+    buckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+  ) {
+    super(name, help);
+    this.buckets = buckets;
+  }
+
+  observe(labels = {}, value) {
+    const key = JSON.stringify(labels);
+    const series = this.values.get(key) ?? {
+      labels,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    };
+    this.buckets.forEach((bucket, i) => {
+      if (value <= bucket) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+    this.values.set(key, series);
+  }
+
+  lines() {
+    const lines = [];
+    for (let { labels, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((bucket, i) => {
+        const key = formatLabels({ ...labels, le: bucket });
+        lines.push(`${this.name}_bucket${key} ${counts[i]}`);
+      });
+      const key = formatLabels({ ...labels, le: "+Inf" });
+      lines.push(`${this.name}_bucket${key} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) =>
+      `${name}="${String(value)
+        .replace(/\\/g, "\\\\")
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, "\\n")}"`
+  );
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+const registry = new Registry();
+
+export const handlerDuration = registry.histogram(
+  "handler_duration_seconds",
+  "Duration of the event handlers."
+);
+export const handlerFailures = registry.counter(
+  "handler_failures_total",
+  "Number of events whose handlers failed."
+);
+export const eventsHandled = registry.counter(
+  "consumer_events_total",
+  "Number of events handled by the consumer."
+);
+export const consumerLag = registry.gauge(
+  "consumer_lag_events",
+  "Number of events after the checkpoint of the consumer."
+);
+export const outboxBacklog = registry.gauge(
+  "outbox_backlog_events",
+  "Number of events in the outbox table."
+);
+export const outboxOldestAge = registry.gauge(
+  "outbox_oldest_event_age_seconds",
+  "Age of the oldest event in the outbox table."
+);
+export const relayAdded = registry.counter(
+  "relay_xadd_total",
+  "Number of events added to the redis stream by the relay."
+);
+export const relaySkipped = registry.counter(
+  "relay_xadd_skipped_total",
+  "Number of events the relay skipped, since they were already added."
+);
+export const backoffAttempts = registry.gauge(
+  "backoff_attempts",
+  "Number of attempts since the last success of the backoff."
+);
+
+// Runs the handlers of one event, and records their duration, and whether
+// they failed, by `consumer` and `event` name.
+export async function observeHandler(consumer, event, fn) {
+  const labels = { consumer, event };
+  const start = process.hrtime.bigint();
+  try {
+    const result = await fn();
+    eventsHandled.inc({ consumer });
+    return result;
+  } catch (error) {
+    handlerFailures.inc(labels);
+    throw error;
+  } finally {
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    handlerDuration.observe(labels, seconds);
+  }
+}
+
+// Serves the metrics on `/metrics` when a port is given, by default from the
+// METRICS_PORT environment variable. Returns the server, or null.
+export function serveMetrics(port = process.env.METRICS_PORT) {
+  if (!port) return null;
+
+  const server = http.createServer(async (req, res) => {
+    if (req.url !== "/metrics") {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4" });
+    res.end(await registry.expose());
+  });
+  server.listen(Number(port), () => {
+    log.info("listening", { port: Number(port) });
+  });
+  return server;
+}
+
+export default registry;
@@ -0,0 +1,125 @@
+import fs from "fs/promises";
+import { fileURLToPath } from "url";
+import db, { withTransaction } from "./db.js";
+import logger from "./logger.js";
+
+const log = logger.child({ component: "migrate" });
+
+const MIGRATIONS_DIR = new URL("./migrations/", import.meta.url);
+
+// Migrator applies the numbered migrations in `migrations/`, e.g.
+// `002_create_event.js`, which export the `up` and `down` statements. The
+// applied versions are recorded in the `schema_migrations` table, so each
+// migration runs once.
+//
+// Migrations are never edited once applied. To change the schema, add a new
+// migration that alters the tables in place.
+//
+// A run holds an advisory lock in a single transaction, so that concurrent
+// instances starting together apply the migrations once, one after another,
+// and a failed migration rolls back the whole run.
+export class Migrator {
+  constructor(db, { directory = MIGRATIONS_DIR } = {}) {
+    this.db = db;
+    this.directory = directory;
+  }
+
+  async migrations() {
+    const files = await fs.readdir(this.directory);
+    const migrations = [];
+    for (let file of files.sort()) {
+      const match = file.match(/^(\d+)_(.+)\.js$/);
+      if (!match) continue;
+
+      const { up, down } = await import(new URL(file, this.directory));
+      migrations.push({ version: Number(match[1]), name: match[2], up, down });
+    }
+    return migrations;
+  }
+
+  // Applies the pending migrations, up to the `target` version. Returns the
+  // migrations applied.
+  async up(target = Infinity) {
+    const migrations = await this.migrations();
+    return this.locked(async (tx, applied) => {
+      const pending = migrations.filter(
+        ({ version }) => version <= target && !applied.has(version)
+      );
+      for (let { version, name, up } of pending) {
+        await tx.query(up);
+        await tx.query(
+          "INSERT INTO schema_migrations (version, name) VALUES ($1, $2)",
+          [version, name]
+        );
+        log.info("applied", { version, name });
+      }
+      return pending;
+    });
+  }
+
+  // Reverts the last `steps` applied migrations. Returns the migrations
+  // reverted.
+  async down(steps = 1) {
+    const migrations = await this.migrations();
+    return this.locked(async (tx, applied) => {
+      const reverted = migrations
+        .filter(({ version }) => applied.has(version))
+        .reverse()
+        .slice(0, steps);
+      for (let { version, name, down } of reverted) {
+        await tx.query(down);
+        await tx.query("DELETE FROM schema_migrations WHERE version = $1", [
+          version
+        ]);
+        log.info("reverted", { version, name });
+      }
+      return reverted;
+    });
+  }
+
+  locked(fn) {
+    return withTransaction(async tx => {
+      // Released when the transaction ends. Taken before the table is created,
+      // since concurrent CREATE TABLE IF NOT EXISTS may fail.
+      await tx.query("SELECT pg_advisory_xact_lock(hashtext('schema_migrations'))");
+      await tx.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version bigint NOT NULL,
+          name text NOT NULL,
+          applied_at timestamptz NOT NULL DEFAULT current_timestamp,
+
+          PRIMARY KEY (version)
+        )
+      `);
+      const { rows } = await tx.query("SELECT version FROM schema_migrations");
+      const applied = new Set(rows.map(({ version }) => Number(version)));
+      return fn(tx, applied);
+    }, this.db);
+  }
+}
+
+// Applies the pending migrations. Returns the number of migrations applied.
+export default async function migrate(db) {
+  const migrator = new Migrator(db);
+  const applied = await migrator.up();
+  return applied.length;
+}
+
+// Run as a script, e.g. `node migrate.js up` or `node migrate.js down 2`, see
+// the Makefile.
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const [command = "up", arg] = process.argv.slice(2);
+  const migrator = new Migrator(db);
+  try {
+    if (command === "up") {
+      await migrator.up(arg === undefined ? Infinity : Number(arg));
+    } else if (command === "down") {
+      await migrator.down(arg === undefined ? 1 : Number(arg));
+    } else {
+      process.stderr.write("usage: node migrate.js [up [version] | down [steps]]\n");
+      process.exitCode = 1;
+    }
+  } finally {
+    await db.end();
+  }
+}
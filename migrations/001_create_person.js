@@ -0,0 +1,14 @@
+export const up = `
+  CREATE TABLE IF NOT EXISTS person (
+    id uuid DEFAULT gen_random_uuid(),
+    name text NOT NULL,
+    created_at timestamptz NOT NULL DEFAULT current_timestamp,
+    updated_at timestamptz NOT NULL DEFAULT current_timestamp,
+
+    PRIMARY KEY (id)
+  );
+`;
+
+export const down = `
+  DROP TABLE IF EXISTS person;
+`;
@@ -0,0 +1,52 @@
+// The outbox table, shared by every example.
+export const up = `
+  CREATE TABLE IF NOT EXISTS event (
+    id bigint GENERATED ALWAYS AS IDENTITY,
+    -- The object is the aggregate type, and the event is the action.
+    event text NOT NULL,
+    object text NOT NULL,
+    aggregate_id text,
+    data jsonb NOT NULL DEFAULT '{}',
+    -- The schema version of the data, see SchemaRegistry.
+    version int NOT NULL DEFAULT 1,
+    -- The id of the transaction that inserted the event, see
+    -- EventRepository.findByTopics.
+    txid xid8 NOT NULL DEFAULT pg_current_xact_id(),
+
+    -- Retry state, see level-1 dead-letter.js.
+    attempts int NOT NULL DEFAULT 0,
+    last_error text,
+    next_attempt_at timestamptz NOT NULL DEFAULT current_timestamp,
+
+    created_at timestamptz NOT NULL DEFAULT current_timestamp,
+
+    PRIMARY KEY (id)
+  );
+
+  -- The tables created by the per-example migrations lack some of the
+  -- columns.
+  ALTER TABLE event
+  ADD COLUMN IF NOT EXISTS aggregate_id text,
+  ADD COLUMN IF NOT EXISTS version int NOT NULL DEFAULT 1,
+  -- Existing events get txid 0, like the checkpoints of the existing
+  -- consumers (see 005_create_consumer.js), so the events they processed stay
+  -- before their checkpoint. With the default below, they would get the txid
+  -- of this migration, and be handled again.
+  ADD COLUMN IF NOT EXISTS txid xid8 NOT NULL DEFAULT '0',
+  ADD COLUMN IF NOT EXISTS attempts int NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS last_error text,
+  ADD COLUMN IF NOT EXISTS next_attempt_at timestamptz NOT NULL DEFAULT current_timestamp,
+  ADD COLUMN IF NOT EXISTS created_at timestamptz NOT NULL DEFAULT current_timestamp;
+
+  ALTER TABLE event ALTER COLUMN txid SET DEFAULT pg_current_xact_id();
+
+  CREATE INDEX IF NOT EXISTS event_txid_id_idx ON event (txid, id);
+
+  -- Finds the oldest event of each aggregate, see stream in level-1 index.js.
+  CREATE INDEX IF NOT EXISTS event_aggregate_idx
+  ON event (object, (coalesce(aggregate_id, id::text)), id);
+`;
+
+export const down = `
+  DROP TABLE IF EXISTS event;
+`;
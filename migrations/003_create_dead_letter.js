@@ -0,0 +1,26 @@
+// Events that failed too many times are moved here, so that they no longer
+// block the queue, see level-1 dead-letter.js.
+export const up = `
+  CREATE TABLE IF NOT EXISTS dead_letter (
+    id bigint NOT NULL,
+    event text NOT NULL,
+    object text NOT NULL,
+    aggregate_id text,
+    data jsonb NOT NULL DEFAULT '{}',
+    version int NOT NULL DEFAULT 1,
+    attempts int NOT NULL,
+    last_error text,
+    created_at timestamptz NOT NULL,
+    failed_at timestamptz NOT NULL DEFAULT current_timestamp,
+
+    PRIMARY KEY (id)
+  );
+
+  ALTER TABLE dead_letter
+  ADD COLUMN IF NOT EXISTS aggregate_id text,
+  ADD COLUMN IF NOT EXISTS version int NOT NULL DEFAULT 1;
+`;
+
+export const down = `
+  DROP TABLE IF EXISTS dead_letter;
+`;
@@ -0,0 +1,24 @@
+// Truncated events are moved here instead of being deleted, see level-2
+// EventRepository.archive.
+export const up = `
+  CREATE TABLE IF NOT EXISTS event_archive (
+    id bigint NOT NULL,
+    event text NOT NULL,
+    object text NOT NULL,
+    aggregate_id text,
+    data jsonb NOT NULL DEFAULT '{}',
+    version int NOT NULL DEFAULT 1,
+    created_at timestamptz NOT NULL,
+    archived_at timestamptz NOT NULL DEFAULT current_timestamp,
+
+    PRIMARY KEY (id)
+  );
+
+  ALTER TABLE event_archive
+  ADD COLUMN IF NOT EXISTS aggregate_id text,
+  ADD COLUMN IF NOT EXISTS version int NOT NULL DEFAULT 1;
+`;
+
+export const down = `
+  DROP TABLE IF EXISTS event_archive;
+`;
@@ -0,0 +1,37 @@
+// One consumer table for every level:
+// - level 2 reads the events from the table, up to (checkpoint_txid,
+//   checkpoint), filtered by the topics.
+// - level 3 reads the events from the stream, up to last_redis_id, and keeps
+//   (last_event_txid, last_event_id) to skip the events relayed twice.
+export const up = `
+  CREATE TABLE IF NOT EXISTS consumer (
+    id bigint GENERATED ALWAYS AS IDENTITY,
+    name text NOT NULL,
+
+    checkpoint bigint NOT NULL DEFAULT 0,
+    checkpoint_txid xid8 NOT NULL DEFAULT '0',
+    topics text[] NOT NULL DEFAULT '{*}',
+
+    last_event_id bigint NOT NULL DEFAULT 0,
+    last_event_txid xid8 NOT NULL DEFAULT '0',
+    last_redis_id text NOT NULL DEFAULT '',
+
+    created_at timestamptz NOT NULL DEFAULT current_timestamp,
+    updated_at timestamptz NOT NULL DEFAULT current_timestamp,
+
+    PRIMARY KEY (id),
+    UNIQUE (name)
+  );
+
+  ALTER TABLE consumer
+  ADD COLUMN IF NOT EXISTS checkpoint bigint NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS checkpoint_txid xid8 NOT NULL DEFAULT '0',
+  ADD COLUMN IF NOT EXISTS topics text[] NOT NULL DEFAULT '{*}',
+  ADD COLUMN IF NOT EXISTS last_event_id bigint NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS last_event_txid xid8 NOT NULL DEFAULT '0',
+  ADD COLUMN IF NOT EXISTS last_redis_id text NOT NULL DEFAULT '';
+`;
+
+export const down = `
+  DROP TABLE IF EXISTS consumer;
+`;
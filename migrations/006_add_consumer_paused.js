@@ -0,0 +1,11 @@
+// Paused consumers skip their runs, but keep their checkpoint, see the admin
+// router.
+export const up = `
+  ALTER TABLE consumer
+  ADD COLUMN IF NOT EXISTS paused boolean NOT NULL DEFAULT false;
+`;
+
+export const down = `
+  ALTER TABLE consumer
+  DROP COLUMN IF EXISTS paused;
+`;
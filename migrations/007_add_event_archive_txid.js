@@ -0,0 +1,12 @@
+// Archived events keep their transaction id, so that consumers can be moved
+// to them, see ConsumerRepository.seek. Events archived before have txid 0,
+// like the events that predate the txid column.
+export const up = `
+  ALTER TABLE event_archive
+  ADD COLUMN IF NOT EXISTS txid xid8 NOT NULL DEFAULT '0';
+`;
+
+export const down = `
+  ALTER TABLE event_archive
+  DROP COLUMN IF EXISTS txid;
+`;
@@ -0,0 +1,18 @@
+// The consumers of the table (level 2) and of the stream (level 3) share the
+// consumer table, but only the former hold back truncation, see
+// ConsumerRepository.minCheckpoint. Existing consumers that have read from
+// the stream are taken as stream consumers.
+export const up = `
+  ALTER TABLE consumer
+  ADD COLUMN IF NOT EXISTS kind text NOT NULL DEFAULT 'table'
+  CHECK (kind IN ('table', 'stream'));
+
+  UPDATE consumer
+  SET kind = 'stream'
+  WHERE last_redis_id <> '';
+`;
+
+export const down = `
+  ALTER TABLE consumer
+  DROP COLUMN IF EXISTS kind;
+`;
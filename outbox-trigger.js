@@ -0,0 +1,145 @@
+import { withTransaction } from "./db.js";
+import { MAX_PAYLOAD_SIZE } from "./outbox.js";
+
+// The trigger function is shared by every table, and reads its options from
+// the trigger argument, see `installOutboxTrigger`.
+//
+// The event name is taken from the `eventColumn` of the row if it is set, else
+// it is derived from the table and the operation, e.g. `person_created`,
+// `person_updated` and `person_deleted`. The data is the row for INSERT and
+// DELETE, and only the changed columns for UPDATE:
+//
+//   { "old": { "name": "john" }, "new": { "name": "alice" } }
+//
+// Updates that change none of the included columns are skipped.
+const CREATE_FUNCTION = `
+  CREATE OR REPLACE FUNCTION send_to_outbox() RETURNS trigger AS $$
+  DECLARE
+    _options jsonb = TG_ARGV[0]::jsonb;
+    _include text[];
+    _exclude text[] = ARRAY(SELECT jsonb_array_elements_text(_options->'excludeColumns'));
+    _old jsonb;
+    _new jsonb;
+    _row jsonb;
+    _name text;
+    _data jsonb;
+    _event jsonb;
+  BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+      _old = to_jsonb(OLD.*);
+    END IF;
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+      _new = to_jsonb(NEW.*);
+    END IF;
+    _row = coalesce(_new, _old);
+
+    _name = coalesce(
+      _row->>(_options->>'eventColumn'),
+      TG_TABLE_NAME || '_' || CASE TG_OP
+        WHEN 'INSERT' THEN 'created'
+        WHEN 'UPDATE' THEN 'updated'
+        ELSE 'deleted'
+      END
+    );
+
+    IF jsonb_typeof(_options->'includeColumns') = 'array' THEN
+      _include = ARRAY(SELECT jsonb_array_elements_text(_options->'includeColumns'));
+      _old = (SELECT jsonb_object_agg(key, value) FROM jsonb_each(_old) WHERE key = ANY(_include));
+      _new = (SELECT jsonb_object_agg(key, value) FROM jsonb_each(_new) WHERE key = ANY(_include));
+    END IF;
+    _old = _old - _exclude;
+    _new = _new - _exclude;
+
+    IF TG_OP = 'UPDATE' THEN
+      SELECT
+        jsonb_object_agg(n.key, _old->n.key),
+        jsonb_object_agg(n.key, n.value)
+      INTO _old, _new
+      FROM jsonb_each(coalesce(_new, '{}')) n
+      WHERE _old->n.key IS DISTINCT FROM n.value;
+
+      IF _new IS NULL THEN
+        RETURN NULL;
+      END IF;
+      _data = jsonb_build_object('old', _old, 'new', _new);
+    ELSE
+      _data = coalesce(_new, _old, '{}');
+    END IF;
+
+    INSERT INTO event (object, event, data, aggregate_id)
+    VALUES (TG_TABLE_NAME, _name, _data, _row->>'id')
+    RETURNING to_jsonb(event.*) INTO _event;
+
+    -- Events that do not fit in the payload only carry a reference, see
+    -- Outbox.resolve.
+    PERFORM pg_notify(
+      coalesce(_options->>'channel', _name),
+      CASE WHEN octet_length(_event::text) < (_options->>'maxPayloadSize')::int
+      THEN _event::text
+      ELSE jsonb_build_object(
+        'id', _event->'id',
+        'object', _event->'object',
+        'event', _event->'event',
+        'reference', true
+      )::text
+      END
+    );
+    RETURN NULL;
+  END;
+  $$ LANGUAGE plpgsql;
+`;
+
+// Publishes an event to the outbox for every insert, update and delete on the
+// table, so that existing tables publish events without changing the queries
+// that write to them. Installing again replaces the options.
+//
+// Pass `channel` to send the notifications to one channel, `eventColumn` to
+// name the events after a column of the row, and `includeColumns` or
+// `excludeColumns` to limit the columns in the data, e.g. to leave out
+// secrets.
+//
+// Unlike `Outbox.publish`, the events are only as granular as the operations,
+// unless the writers set the `eventColumn`, see the level-1 README.
+export async function installOutboxTrigger(
+  db,
+  table,
+  {
+    channel = null,
+    eventColumn = null,
+    includeColumns = null,
+    excludeColumns = []
+  } = {}
+) {
+  const options = {
+    channel,
+    eventColumn,
+    includeColumns,
+    excludeColumns,
+    maxPayloadSize: MAX_PAYLOAD_SIZE
+  };
+  await withTransaction(async tx => {
+    await tx.query(CREATE_FUNCTION);
+    await tx.query(`DROP TRIGGER IF EXISTS send_to_outbox ON ${quote(tx, table)}`);
+    await tx.query(`
+      CREATE TRIGGER send_to_outbox
+      AFTER INSERT OR UPDATE OR DELETE ON ${quote(tx, table)}
+      FOR EACH ROW
+      EXECUTE FUNCTION send_to_outbox(${tx.escapeLiteral(JSON.stringify(options))})
+    `);
+  }, db);
+}
+
+// Removes the trigger from the table. Does nothing if it is not installed.
+export async function uninstallOutboxTrigger(db, table) {
+  await withTransaction(async tx => {
+    await tx.query(`DROP TRIGGER IF EXISTS send_to_outbox ON ${quote(tx, table)}`);
+  }, db);
+}
+
+// Quotes the table name, which may be qualified by its schema.
+function quote(client, table) {
+  return table
+    .split(".")
+    .map(name => client.escapeIdentifier(name))
+    .join(".");
+}
@@ -0,0 +1,103 @@
+// Postgres rejects notification payloads of 8000 bytes or longer, which fails
+// the whole transaction.
+export const MAX_PAYLOAD_SIZE = 8000;
+
+// Outbox implements the transactional outbox pattern. Events are inserted into
+// the `event` table within the caller's transaction, so that they are
+// persisted together with the changes that produced them, or not at all.
+//
+// A notification is also sent for each event. Postgres holds back
+// notifications sent within a transaction until it commits, and drops them if
+// it rolls back, so consumers never receive an event that does not exist.
+export default class Outbox {
+  // By default, each event is sent to the channel of the same name, e.g.
+  // `person_created`. Pass `channel` to send all events to one channel
+  // instead.
+  //
+  // The `mode` decides what the notification carries:
+  // - full: the whole event, unless it does not fit in the payload, then it
+  //   falls back to a reference.
+  // - reference: only the event id and metadata. The listener loads the event
+  //   from the table, see `resolve`.
+  //
+  // With a `registry`, the data is validated against the schema of the event
+  // before it is inserted, and the event is stamped with the schema version,
+  // see SchemaRegistry.
+  constructor({
+    channel = null,
+    mode = "full",
+    maxPayloadSize = MAX_PAYLOAD_SIZE,
+    registry = null
+  } = {}) {
+    this.channel = channel;
+    this.mode = mode;
+    this.maxPayloadSize = mode === "reference" ? 0 : maxPayloadSize;
+    this.registry = registry;
+  }
+
+  // Call publish as many times as needed within the same transaction. The
+  // `tx` must be a client that has started a transaction, see
+  // `withTransaction`. Throws SchemaValidationError when the data does not
+  // match the schema, which rolls back the transaction.
+  //
+  // The `object` is the aggregate type, and the `aggregateId` identifies the
+  // aggregate the event belongs to, which defaults to the id of the data.
+  // Events of the same aggregate are handled in order, see level 1.
+  async publish(tx, { object, event, data = {}, aggregateId = data.id }) {
+    const version = this.registry?.validate(event, data) ?? 1;
+    const statement = `
+      WITH event_created AS (
+        INSERT INTO event (object, event, data, version, aggregate_id)
+        VALUES ($1, $2, $3, $6, $7)
+        RETURNING *
+      ),
+      payload AS (
+        SELECT row_to_json(event_created.*) AS event
+        FROM event_created
+      )
+      SELECT 
+        event,
+        pg_notify($4, 
+          CASE WHEN octet_length(event::text) < $5
+          THEN event::text
+          ELSE json_build_object(
+            'id', event->'id',
+            'object', event->'object',
+            'event', event->'event',
+            'reference', true
+          )::text
+          END
+        )
+      FROM payload
+    `;
+    const values = [
+      object,
+      event,
+      data,
+      this.channel ?? event,
+      this.maxPayloadSize,
+      version,
+      aggregateId ?? null
+    ];
+    const result = await tx.query(statement, values);
+    return result.rows[0].event;
+  }
+
+  // Parses the notification payload into the event. For references, the event
+  // is loaded from the table, so that handlers receive the same shape in both
+  // modes. Returns null when the event no longer exists, e.g. it has already
+  // been processed and deleted.
+  async resolve(db, payload) {
+    const event = JSON.parse(payload);
+    if (!event.reference) return event;
+
+    const statement = `
+      SELECT row_to_json(event.*) AS event
+      FROM event
+      WHERE id = $1
+    `;
+    const values = [event.id];
+    const result = await db.query(statement, values);
+    return result.rows[0]?.event ?? null;
+  }
+}
@@ -0,0 +1,233 @@
+import pg from "pg";
+import {
+  LogicalReplicationService,
+  PgoutputPlugin
+} from "pg-logical-replication";
+import logger from "./logger.js";
+import { observeHandler } from "./metrics.js";
+
+const log = logger.child({ component: "replication" });
+
+// ReplicationSource streams the events inserted into the outbox table from a
+// logical replication slot, with the built-in `pgoutput` plugin. Postgres must
+// run with `wal_level=logical`, see docker-compose.yml.
+//
+// Unlike NOTIFY, the slot keeps every change until we confirm it, so events
+// that are published while we are disconnected are delivered once we are
+// back, in commit order, without polling the table. A transaction is only
+// confirmed once the handlers of all its events succeed. When a handler
+// fails, the connection is restarted with exponential backoff, and the slot
+// delivers the unconfirmed transactions again, so handlers must be
+// idempotent.
+//
+// Handlers receive the same event as the notification path (see
+// `Outbox.resolve`), except that the bigint columns are strings.
+//
+// The slot only has the events that are published after it is created. A
+// slot only serves one connection at a time, so run it on one instance, e.g.
+// with a LeaderElection. An unused slot keeps the WAL from being recycled,
+// drop it with `drop()` when it is no longer needed.
+export default class ReplicationSource {
+  constructor(
+    config,
+    {
+      slotName = "outbox",
+      publicationName = "outbox",
+      table = "event",
+      baseDelay = 1_000,
+      maxDelay = 30_000
+    } = {}
+  ) {
+    this.config = config;
+    this.slotName = slotName;
+    this.publicationName = publicationName;
+    this.table = table;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+
+    this.handlers = new Map();
+    this.service = null;
+    // The changes are handled one after another, see `connect`.
+    this.queue = Promise.resolve();
+    this.confirmedLsn = null;
+    this.attempts = 0;
+    this.timeout = null;
+    this.ended = false;
+  }
+
+  get delay() {
+    const delay = Math.min(
+      this.maxDelay,
+      this.baseDelay * Math.pow(2, this.attempts)
+    );
+    return Math.floor(delay / 2 + (Math.random() * delay) / 2);
+  }
+
+  // Registers a handler for the event name, or for every event with `*`.
+  on(eventName, handler) {
+    const handlers = this.handlers.get(eventName) ?? [];
+    handlers.push(handler);
+    this.handlers.set(eventName, handlers);
+    return this;
+  }
+
+  async handle(event) {
+    const handlers = [
+      ...(this.handlers.get(event.event) ?? []),
+      ...(this.handlers.get("*") ?? [])
+    ];
+    await observeHandler(this.slotName, event.event, async () => {
+      for (let handler of handlers) {
+        await handler(event);
+      }
+    });
+  }
+
+  // Creates the publication and the slot if they do not exist, and starts
+  // streaming.
+  async start() {
+    const client = new pg.Client(this.config);
+    await client.connect();
+    try {
+      const { rowCount } = await client.query(
+        "SELECT 1 FROM pg_publication WHERE pubname = $1",
+        [this.publicationName]
+      );
+      if (!rowCount) {
+        // Only inserts, since the events are never updated, and deleting the
+        // processed events is not an event.
+        await client.query(`
+          CREATE PUBLICATION ${client.escapeIdentifier(this.publicationName)}
+          FOR TABLE ${client.escapeIdentifier(this.table)}
+          WITH (publish = 'insert')
+        `);
+      }
+      await client.query(
+        `
+        SELECT pg_create_logical_replication_slot($1, 'pgoutput')
+        WHERE NOT EXISTS (
+          SELECT 1 FROM pg_replication_slots WHERE slot_name = $1
+        )
+      `,
+        [this.slotName]
+      );
+    } finally {
+      await client.end();
+    }
+    await this.connect();
+  }
+
+  async connect() {
+    const service = new LogicalReplicationService(this.config, {
+      // Confirming is done by us, once the handlers succeed.
+      acknowledge: { auto: false, timeoutSeconds: 0 }
+    });
+    // The service does not wait for the handlers, so the changes are queued,
+    // and the handlers of one change are awaited before the next. The queue is
+    // in memory, so slow handlers buffer the changes that keep arriving.
+    service.on("data", (lsn, message) => {
+      this.queue = this.queue
+        .then(() => this.receive(service, message))
+        .catch(error => this.disconnect(service, error));
+    });
+    service.on("heartbeat", (lsn, timestamp, shouldRespond) => {
+      // Reply with the confirmed position only, since the changes up to `lsn`
+      // may not have been handled yet.
+      if (shouldRespond) {
+        service.acknowledge(this.confirmedLsn ?? "0/00000000");
+      }
+    });
+    service.on("error", error => this.disconnect(service, error));
+    service.on("start", () => {
+      log.info("streaming", { slot: this.slotName });
+    });
+    this.service = service;
+
+    // Resolves when the stream ends cleanly, e.g. when the server restarts, and
+    // rejects when it fails. Either way, we reconnect from the confirmed
+    // position, and the changes before it are not delivered again.
+    service
+      .subscribe(
+        new PgoutputPlugin({
+          protoVersion: 1,
+          publicationNames: [this.publicationName]
+        }),
+        this.slotName,
+        this.confirmedLsn ?? "0/00000000"
+      )
+      .then(
+        () => this.disconnect(service),
+        error => this.disconnect(service, error)
+      );
+  }
+
+  async receive(service, message) {
+    // The changes queued after a failed one are delivered again on reconnect.
+    if (this.service !== service) return;
+
+    if (message.tag === "insert" && message.relation.name === this.table) {
+      // Rejecting stops the stream, see `disconnect`.
+      await this.handle(message.new);
+    } else if (message.tag === "commit") {
+      await service.acknowledge(message.commitEndLsn);
+      this.confirmedLsn = message.commitEndLsn;
+      this.attempts = 0;
+    }
+  }
+
+  disconnect(service, error) {
+    if (this.service !== service || this.ended) return;
+
+    this.service = null;
+    log.warn("disconnected", { slot: this.slotName, error });
+    service.removeAllListeners();
+    service.stop().catch(() => {});
+    this.reconnect();
+  }
+
+  reconnect() {
+    const delay = this.delay;
+    this.attempts++;
+    log.info("reconnecting", { slot: this.slotName, delay });
+    this.timeout = setTimeout(async () => {
+      this.timeout = null;
+      try {
+        await this.connect();
+      } catch (error) {
+        log.error("reconnectError", { slot: this.slotName, error });
+        this.reconnect();
+      }
+    }, delay);
+  }
+
+  async end() {
+    this.ended = true;
+    clearTimeout(this.timeout);
+    this.timeout = null;
+    const service = this.service;
+    this.service = null;
+    service?.removeAllListeners();
+    await service?.stop();
+  }
+
+  // Drops the slot and the publication. Call `end` first.
+  async drop() {
+    const client = new pg.Client(this.config);
+    await client.connect();
+    try {
+      await client.query(
+        `
+        SELECT pg_drop_replication_slot(slot_name)
+        FROM pg_replication_slots
+        WHERE slot_name = $1
+      `,
+        [this.slotName]
+      );
+      await client.query(
+        `DROP PUBLICATION IF EXISTS ${client.escapeIdentifier(this.publicationName)}`
+      );
+    } finally {
+      await client.end();
+    }
+  }
+}
@@ -0,0 +1,79 @@
+import Ajv from "ajv";
+
+export class SchemaValidationError extends Error {
+  constructor(eventName, version, errors) {
+    const reasons = errors.map(
+      ({ instancePath, message }) => `data${instancePath} ${message}`
+    );
+    super(`invalid ${eventName} v${version}: ${reasons.join(", ")}`);
+    this.name = "SchemaValidationError";
+    this.eventName = eventName;
+    this.version = version;
+    this.errors = errors;
+  }
+}
+
+// SchemaRegistry holds the versioned JSON Schemas of the event data, keyed by
+// the event name.
+//
+// Producers validate the data against the latest version, and the version is
+// stored with the event, see Outbox. Consumers upcast older events to the
+// latest version, so that handlers only deal with one shape. Each version
+// after the first registers an upcaster from the previous version, e.g.:
+//
+//   registry
+//     .register("person_created", 1, { type: "object", required: ["name"] })
+//     .register("person_created", 2, schemaV2, data => ({ ...data, email: null }));
+//
+// Events without schemas are not validated, and are stored as version 1.
+export default class SchemaRegistry {
+  constructor() {
+    this.ajv = new Ajv({ allErrors: true });
+    this.versions = new Map();
+  }
+
+  register(eventName, version, schema, upcast = null) {
+    const versions = this.versions.get(eventName) ?? [];
+    if (version !== versions.length + 1) {
+      throw new Error(
+        `${eventName}: expected version ${versions.length + 1}, got ${version}`
+      );
+    }
+    if (version > 1 && !upcast) {
+      throw new Error(`${eventName}: version ${version} needs an upcaster`);
+    }
+    versions.push({ validate: this.ajv.compile(schema), upcast });
+    this.versions.set(eventName, versions);
+    return this;
+  }
+
+  latest(eventName) {
+    return this.versions.get(eventName)?.length ?? 1;
+  }
+
+  // Returns the version the data conforms to, which is always the latest.
+  // Throws SchemaValidationError otherwise.
+  validate(eventName, data) {
+    const versions = this.versions.get(eventName);
+    if (!versions) return 1;
+
+    const version = versions.length;
+    const { validate } = versions[version - 1];
+    if (!validate(data)) {
+      throw new SchemaValidationError(eventName, version, validate.errors);
+    }
+    return version;
+  }
+
+  // Returns a copy of the event with the data upcast to the latest version.
+  // Events without a version are treated as version 1.
+  upcast(event) {
+    const versions = this.versions.get(event.event) ?? [];
+    let version = Number(event.version ?? 1);
+    let data = event.data;
+    for (; version < versions.length; version++) {
+      data = versions[version].upcast(data);
+    }
+    return { ...event, data, version };
+  }
+}
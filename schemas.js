@@ -0,0 +1,18 @@
+import SchemaRegistry from "./schema-registry.js";
+
+// The schemas of the events published by the examples. To change the shape of
+// an event, register a new version with an upcaster from the previous one,
+// instead of editing the existing schema, since consumers may still receive
+// events of the older versions.
+const registry = new SchemaRegistry();
+
+registry.register("person_created", 1, {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    name: { type: "string", minLength: 1 }
+  },
+  required: ["id", "name"]
+});
+
+export default registry;
@@ -1,19 +1,28 @@
+import { withTransaction } from "./db.js";
+import Outbox from "./outbox.js";
+import registry from "./schemas.js";
+
+const outbox = new Outbox({ registry });
+
 export default function createUsers(db) {
-  "abcdefghijklmnopqrstuvwxyz".split("").forEach(name => {
-    // This works as a transaction, if one of the WITH step fails, all of them
-    // fails.
-    // Perform the insertion of person, event and subsequently returning the
-    // person's data and notifying the event.
-    db.query(
-      `WITH person_created AS (
-      INSERT INTO person(name) VALUES ($1) RETURNING *
-    ),
-    event_created AS (
-      INSERT INTO event (object, event, data) VALUES ('person', 'person_created', (SELECT row_to_json(person_created.*) FROM person_created))
-      RETURNING *
+  return Promise.all(
+    "abcdefghijklmnopqrstuvwxyz".split("").map(name =>
+      // Perform the insertion of person and event in a transaction, if one of
+      // them fails, both of them fails. The event is only notified once the
+      // transaction commits.
+      withTransaction(async tx => {
+        const result = await tx.query(
+          "INSERT INTO person(name) VALUES ($1) RETURNING *",
+          [name]
+        );
+        const person = result.rows[0];
+        await outbox.publish(tx, {
+          object: "person",
+          event: "person_created",
+          data: person
+        });
+        return person;
+      }, db)
     )
-    SELECT * FROM person_created, pg_notify('person_created', (SELECT row_to_json(event_created.*) FROM event_created)::text);`,
-      [name]
-    );
-  });
+  );
 }